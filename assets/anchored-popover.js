@@ -95,6 +95,7 @@ export class AnchoredPopoverComponent extends Component {
    */
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
     const { popover, trigger } = this.refs;
     if (this.dataset.closeOnResize) {
       popover.addEventListener('beforetoggle', (event) => {
@@ -23,6 +23,7 @@ export class AnnouncementBar extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     this.addEventListener('mouseenter', this.suspend);
     this.addEventListener('mouseleave', this.resume);
@@ -1,8 +1,8 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * A custom element that applies a discount to the cart.
@@ -60,22 +60,13 @@ class CartDiscount extends Component {
       cartDiscountErrorDiscountCode.classList.add('hidden');
       cartDiscountErrorShipping.classList.add('hidden');
 
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
+      const { cart, sections } = await cartStore.applyDiscount([...existingDiscounts, discountCodeValue], {
+        sections: [this.dataset.sectionId],
         signal: abortController.signal,
       });
 
-      const data = await response.json();
-
       if (
-        data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
+        cart.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
           return discount.code === discountCodeValue && discount.applicable === false;
         })
       ) {
@@ -84,7 +75,7 @@ class CartDiscount extends Component {
         return;
       }
 
-      const newHtml = data.sections[this.dataset.sectionId];
+      const newHtml = sections[this.dataset.sectionId] ?? '';
       const parsedHtml = new DOMParser().parseFromString(newHtml, 'text/html');
       const section = parsedHtml.getElementById(`shopify-section-${this.dataset.sectionId}`);
       const discountCodes = section?.querySelectorAll('.cart-discount__pill') || [];
@@ -98,7 +89,7 @@ class CartDiscount extends Component {
         if (
           codes.length === existingDiscounts.length &&
           codes.every((/** @type {string} */ code) => existingDiscounts.includes(code)) &&
-          data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
+          cart.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
             return discount.code === discountCodeValue && discount.applicable === true;
           })
         ) {
@@ -108,8 +99,8 @@ class CartDiscount extends Component {
         }
       }
 
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, newHtml);
+      document.dispatchEvent(new DiscountUpdateEvent(cart, this.id));
+      if (newHtml) morphSection(this.dataset.sectionId, newHtml);
     } catch (error) {
     } finally {
       this.#activeFetch = null;
@@ -149,19 +140,15 @@ class CartDiscount extends Component {
     const abortController = this.#createAbortController();
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
+      const { cart, sections } = await cartStore.applyDiscount(existingDiscounts, {
+        sections: [this.dataset.sectionId],
         signal: abortController.signal,
       });
 
-      const data = await response.json();
+      document.dispatchEvent(new DiscountUpdateEvent(cart, this.id));
 
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+      const newHtml = sections[this.dataset.sectionId];
+      if (newHtml) morphSection(this.dataset.sectionId, newHtml);
     } catch (error) {
     } finally {
       this.#activeFetch = null;
@@ -9,6 +9,7 @@ import { CartAddEvent } from '@theme/events';
 class CartDrawerComponent extends DialogComponent {
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
     document.addEventListener(CartAddEvent.eventName, this.#handleCartAdd);
   }
 
@@ -1,6 +1,9 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+
+/** @typedef {import('./cart-store').Cart} Cart */
+/** @typedef {import('./cart-store').CartChangeReason} CartChangeReason */
 
 /**
  * A custom element that displays a cart icon.
@@ -10,59 +13,61 @@ import { ThemeEvents, CartUpdateEvent } from '@theme/events';
  * @property {HTMLElement} cartBubbleText - The cart bubble text element.
  * @property {HTMLElement} cartBubbleCount - The cart bubble count element.
  *
- * @extends {Component<Refs>}
+ * @typedef {object} State
+ * @property {number} [count] - The number of items in the cart.
+ * @property {string} [countLabel] - The count displayed in the bubble, empty past the limit.
+ * @property {boolean} [animating] - Whether the bubble is animating.
+ *
+ * @extends {Component<Refs, State>}
  */
 class CartIcon extends Component {
   requiredRefs = ['cartBubble', 'cartBubbleText', 'cartBubbleCount'];
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   /** @type {number} */
   get currentCartCount() {
-    return parseInt(this.refs.cartBubbleCount.textContent ?? '0', 10);
+    return this.state.count ?? parseInt(this.refs.cartBubbleCount.textContent ?? '0', 10);
   }
 
   set currentCartCount(value) {
-    this.refs.cartBubbleCount.textContent = value < 100 ? String(value) : '';
+    this.state.count = value;
+    this.state.countLabel = value < 100 ? String(value) : '';
   }
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
-    document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    this.#unsubscribe = cartStore.subscribe(this.onCartChange);
     this.ensureCartBubbleIsCorrect();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
-    document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    this.#unsubscribe?.();
   }
 
   /**
-   * Handles the cart update event.
-   * @param {CartUpdateEvent} event - The cart update event.
+   * Handles changes to the cart.
+   * @param {Cart} cart - The new cart.
+   * @param {CartChangeReason} action - Why the cart changed.
    */
-  onCartUpdate = async (event) => {
-    const itemCount = event.detail.data?.itemCount ?? 0;
-    const comingFromProductForm = event.detail.data?.source === 'product-form-component';
-
-    this.renderCartBubble(itemCount, comingFromProductForm);
+  onCartChange = (cart, action) => {
+    // Confirming a predicted count doesn't animate the bubble again
+    this.renderCartBubble(cart.item_count, action !== 'refresh' && cart.item_count !== this.currentCartCount);
   };
 
   /**
    * Renders the cart bubble.
    * @param {number} itemCount - The number of items in the cart.
-   * @param {boolean} comingFromProductForm - Whether the cart update is coming from the product form.
+   * @param {boolean} [animate] - Whether to animate the bubble.
    */
-  renderCartBubble = async (itemCount, comingFromProductForm, animate = true) => {
-    // If the cart update is coming from the product form, we add to the current cart count, otherwise we set the new cart count
-
-    this.refs.cartBubbleCount.classList.toggle('hidden', itemCount === 0);
-    this.refs.cartBubble.classList.toggle('visually-hidden', itemCount === 0);
-    this.refs.cartBubble.classList.toggle('cart-bubble--animating', itemCount > 0 && animate);
-
-    this.currentCartCount = comingFromProductForm ? this.currentCartCount + itemCount : itemCount;
-
-    this.classList.toggle('header-actions__cart-icon--has-cart', itemCount > 0);
+  renderCartBubble = async (itemCount, animate = true) => {
+    this.currentCartCount = itemCount;
+    this.state.animating = itemCount > 0 && animate;
 
     sessionStorage.setItem(
       'cart-count',
@@ -73,9 +78,10 @@ class CartIcon extends Component {
     );
 
     if (!animate) return;
+    await this.updateComplete;
     await onAnimationEnd(this.refs.cartBubbleText);
 
-    this.refs.cartBubble.classList.remove('cart-bubble--animating');
+    this.state.animating = false;
   };
 
   /**
@@ -94,7 +100,7 @@ class CartIcon extends Component {
         const count = parseInt(value, 10);
 
         if (count >= 0) {
-          this.renderCartBubble(count, false, false);
+          this.renderCartBubble(count, false);
         }
       }
     } catch (_) {
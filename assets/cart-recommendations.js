@@ -0,0 +1,137 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
+import { morph } from '@theme/morph';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/** @typedef {import('./cart-store').Cart} Cart */
+
+/**
+ * The section rendering the recommendations for a product, with their add to cart forms
+ * @constant {string}
+ */
+const SECTION_ID = 'cart-recommendations';
+
+/**
+ * How many of the products in the cart recommendations are requested for, the most recently added first
+ * @constant {number}
+ */
+const MAX_SOURCE_PRODUCTS = 3;
+
+/**
+ * The most products the recommendations API returns for a product
+ * @constant {number}
+ */
+const MAX_RECOMMENDATIONS = 10;
+
+/**
+ * A custom element that recommends products for the ones in the cart, leaving out the products already in it.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} content - The list and its heading, hidden when there is nothing to recommend.
+ * @property {HTMLUListElement} list - The list of recommended products.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartRecommendationsComponent extends Component {
+  requiredRefs = ['content', 'list'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  /**
+   * Identifies the latest request, so that responses arriving out of order are ignored
+   * @type {number}
+   */
+  #requestId = 0;
+
+  connectedCallback() {
+    super.connectedCallback();
+    if (this.hasError) return;
+
+    this.#unsubscribe = cartStore.subscribe((cart, reason) => {
+      // Predicted carts may be rolled back, the recommendations wait for the server
+      if (reason !== 'optimistic') this.#refresh(cart);
+    });
+
+    cartStore
+      .load()
+      .then((cart) => this.#refresh(cart))
+      .catch(() => {});
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * Renders the recommendations for the products in the cart.
+   * @param {Cart} cart - The cart.
+   */
+  async #refresh(cart) {
+    const requestId = ++this.#requestId;
+    const limit = Number(this.dataset.limit) || 1;
+    const cartProductIds = new Set(cart.items.map(({ product_id }) => String(product_id)));
+    const sourceProductIds = Array.from(cartProductIds).slice(0, MAX_SOURCE_PRODUCTS);
+
+    /** @type {Document[]} */
+    let recommendations;
+
+    try {
+      recommendations = await Promise.all(
+        // Enough products are requested to make up for the ones already in the cart
+        sourceProductIds.map((id) => this.#fetchRecommendations(id, limit + cartProductIds.size))
+      );
+    } catch (error) {
+      // The Theme Editor renders the block in contexts the Section Rendering API can't reach
+      if (!Shopify.designMode) console.error('Cart recommendations error:', error);
+      recommendations = [];
+    }
+
+    if (requestId !== this.#requestId) return;
+
+    const newList = /** @type {HTMLUListElement} */ (this.refs.list.cloneNode(false));
+    const productIds = new Set(cartProductIds);
+
+    for (const html of recommendations) {
+      for (const item of html.querySelectorAll('[data-recommended-product-id]')) {
+        if (newList.children.length >= limit) break;
+
+        const productId = item instanceof HTMLElement ? item.dataset.recommendedProductId ?? '' : '';
+
+        if (!productId || productIds.has(productId)) continue;
+
+        productIds.add(productId);
+
+        const row = /** @type {HTMLElement} */ (item.cloneNode(true));
+        row.dataset.morphKey = productId;
+        newList.append(row);
+      }
+    }
+
+    this.refs.content.hidden = newList.children.length === 0;
+    morph(this.refs.list, newList);
+  }
+
+  /**
+   * @param {string} productId - The product to recommend products for.
+   * @param {number} limit - The number of products to request.
+   * @returns {Promise<Document>} The rendered recommendations.
+   */
+  async #fetchRecommendations(productId, limit) {
+    const url = new URL(this.dataset.url ?? '', location.origin);
+    url.searchParams.set('product_id', productId);
+    url.searchParams.set('limit', String(Math.min(limit, MAX_RECOMMENDATIONS)));
+    url.searchParams.set('intent', this.dataset.intent ?? 'related');
+
+    // The recommendations for a product don't depend on the cart, so they are cached
+    const html = await sectionRenderer.getSectionHTML(SECTION_ID, true, url);
+
+    return new DOMParser().parseFromString(html, 'text/html');
+  }
+}
+
+if (!customElements.get('cart-recommendations-component')) {
+  customElements.define('cart-recommendations-component', CartRecommendationsComponent);
+}
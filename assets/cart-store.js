@@ -0,0 +1,598 @@
+import { fetchConfig } from '@theme/utilities';
+import { ThemeEvents } from '@theme/events';
+
+/**
+ * @typedef {Object} CartItem
+ * @property {string} key - The unique key of the line item
+ * @property {number} id - The variant ID
+ * @property {number} product_id - The product ID
+ * @property {number} quantity - The quantity
+ * @property {number} price - The price of one unit, in cents
+ * @property {number} original_price - The price of one unit before discounts, in cents
+ * @property {number} final_price - The price of one unit after discounts, in cents
+ * @property {number} line_price - The price of the line before discounts, in cents
+ * @property {number} original_line_price - The price of the line before any discount, in cents
+ * @property {number} final_line_price - The price of the line after discounts, in cents
+ * @property {string} title - The title of the line item
+ * @property {string} product_title - The title of the product
+ * @property {string | null} variant_title - The title of the variant
+ * @property {string} url - The URL of the variant
+ * @property {string | null} image - The image URL of the variant
+ * @property {Record<string, string>} properties - The line item properties
+ * @property {{ selling_plan: { id: number, name: string } }} [selling_plan_allocation] - The selling plan of the line
+ */
+
+/**
+ * @typedef {Object} CartDiscountCode
+ * @property {string} code - The discount code
+ * @property {boolean} applicable - Whether the code applies to the cart
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {string} token - The cart token
+ * @property {string | null} note - The cart note
+ * @property {Record<string, string>} attributes - The cart attributes
+ * @property {number} item_count - The number of items in the cart
+ * @property {number} total_price - The total price, in cents
+ * @property {number} original_total_price - The total price before discounts, in cents
+ * @property {number} total_discount - The total discount, in cents
+ * @property {number} items_subtotal_price - The price of the items after line discounts, in cents
+ * @property {string} currency - The currency of the prices
+ * @property {boolean} requires_shipping - Whether the cart requires shipping
+ * @property {CartItem[]} items - The line items
+ * @property {CartDiscountCode[]} discount_codes - The discount codes entered
+ * @property {Object[]} cart_level_discount_applications - The discounts applied to the whole cart
+ */
+
+/**
+ * @typedef {Object} CartRequestOptions
+ * @property {string[]} [sections] - The sections to render with the response
+ * @property {string} [sectionsUrl] - The URL to render the sections for, the current page by default
+ * @property {AbortSignal} [signal] - A signal to abort the request
+ */
+
+/**
+ * @typedef {Object} CartMutationResult
+ * @property {Cart} cart - The cart after the mutation
+ * @property {Record<string, string>} sections - The rendered sections by section ID
+ */
+
+/**
+ * @typedef {Object} CartLineChange
+ * @property {string} [id] - The key of the line item to change
+ * @property {number} [line] - The 1-based index of the line item to change, when its key isn't known
+ * @property {number} [quantity] - The new quantity
+ * @property {Record<string, string>} [properties] - The new line item properties
+ */
+
+/**
+ * @typedef {Object} CartItemToAdd
+ * @property {number | string} id - The variant ID
+ * @property {number} quantity - The quantity
+ * @property {Record<string, string>} [properties] - The line item properties
+ * @property {number} [selling_plan] - The selling plan ID
+ * @property {number | string} [parent_id] - The variant ID of the line to nest the item under
+ */
+
+/**
+ * @typedef {Object} CartItemsToAdd
+ * @property {CartItemToAdd[]} items - The items
+ */
+
+/**
+ * @typedef {Object} CartUpdate
+ * @property {Record<string, number>} [updates] - New quantities by line item key or variant ID
+ * @property {string} [note] - The cart note
+ * @property {Record<string, string>} [attributes] - Cart attributes to set
+ * @property {string} [discount] - A comma-separated list of the discount codes to apply
+ */
+
+/**
+ * @typedef {'refresh' | 'add' | 'change' | 'update' | 'clear'} CartAction
+ */
+
+/**
+ * The reason subscribers are notified: a confirmed action, a line change predicted before the server confirms it, or
+ * the rollback of a change the server refused
+ * @typedef {CartAction | 'optimistic' | 'rollback'} CartChangeReason
+ */
+
+/**
+ * @typedef {(cart: Cart, action: CartChangeReason) => void} CartSubscriber
+ */
+
+/**
+ * Thrown when the cart API rejects a request
+ */
+export class CartError extends Error {
+  /**
+   * @param {number} status - The response status
+   * @param {string} message - The error message
+   * @param {string} [description] - The detailed description of the error
+   * @param {unknown} [errors] - The errors by field
+   */
+  constructor(status, message, description, errors) {
+    super(message);
+    this.status = status;
+    this.description = description;
+    this.errors = errors;
+
+    /**
+     * The sections an earlier mutation rendered but left out of its response for the refused one, by section ID.
+     * They're up to date again now that the refused mutation won't render them.
+     * @type {Record<string, string>}
+     */
+    this.sections = {};
+  }
+}
+
+/**
+ * @typedef {Object} CartTask
+ * @property {CartAction} action - The action to perform
+ * @property {any} params - The action parameters
+ * @property {Set<string>} sections - The sections to render with the response
+ * @property {string} sectionsUrl - The URL to render the sections for
+ * @property {AbortSignal} [signal] - A signal to abort the request
+ * @property {(result: CartMutationResult) => void} resolve - Resolves the task promise
+ * @property {(error: unknown) => void} reject - Rejects the task promise
+ * @property {Promise<CartMutationResult>} promise - The task promise, shared by the coalesced calls
+ */
+
+/**
+ * The client-side cart: holds the last known cart and performs the cart mutations, so every cart component works off
+ * the same snapshot. Subscribers are notified with the new cart after every mutation.
+ *
+ * Mutations are queued and sent one at a time, so their responses can't land out of order. Quantity changes to a line
+ * that is still waiting in the queue are merged into a single request, and a response leaves out the sections that a
+ * queued mutation is about to render again. If that mutation is refused, its `CartError` carries them instead.
+ *
+ * Line changes are predicted from the known unit prices as soon as they're queued, so subscribers can show them before
+ * the server confirms. Every notification includes the changes still waiting to be confirmed.
+ */
+class CartStore {
+  /** @type {Cart | null} */
+  #cart = null;
+
+  /** @type {Promise<Cart> | null} */
+  #pendingRefresh = null;
+
+  /** @type {Set<CartSubscriber>} */
+  #subscribers = new Set();
+
+  /**
+   * The mutations waiting to be sent
+   * @type {CartTask[]}
+   */
+  #queue = [];
+
+  /**
+   * The mutation being sent
+   * @type {CartTask | null}
+   */
+  #currentTask = null;
+
+  /**
+   * The sections left out of a response because a queued mutation renders them again, by section ID
+   * @type {Map<string, string>}
+   */
+  #droppedSections = new Map();
+
+  constructor() {
+    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate);
+  }
+
+  /**
+   * The last known cart, or null if it hasn't been loaded yet
+   * @returns {Cart | null}
+   */
+  get cart() {
+    return this.#cart;
+  }
+
+  /**
+   * Calls a function with the new cart after every mutation
+   * @param {CartSubscriber} subscriber - The function to call
+   * @returns {() => void} A function that unsubscribes
+   */
+  subscribe(subscriber) {
+    this.#subscribers.add(subscriber);
+
+    return () => this.#subscribers.delete(subscriber);
+  }
+
+  /**
+   * Whether a mutation that is being sent or queued renders a section, which makes any other render of it stale
+   * @param {string} sectionId - The section ID
+   * @returns {boolean}
+   */
+  isRenderingSection(sectionId) {
+    return [this.#currentTask, ...this.#queue].some((task) => task?.sections.has(sectionId));
+  }
+
+  /**
+   * Gets the last known cart, fetching it if it hasn't been loaded yet
+   * @returns {Promise<Cart>}
+   */
+  async load() {
+    return this.#cart ?? this.#fetchCart();
+  }
+
+  /**
+   * Fetches the cart once the pending mutations are done
+   * @returns {Promise<Cart>}
+   */
+  async refresh() {
+    const { cart } = await this.#enqueue('refresh', {}, {});
+
+    return cart;
+  }
+
+  /**
+   * Adds items to the cart
+   * @param {FormData | CartItemsToAdd} items - The product form data, or the items to add
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<CartMutationResult>}
+   */
+  add(items, options = {}) {
+    return this.#enqueue('add', items, options);
+  }
+
+  /**
+   * Changes the quantity or properties of a line item
+   * @param {CartLineChange} change - The change
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<CartMutationResult>}
+   */
+  change(change, options = {}) {
+    const queuedTask = options.signal ? undefined : this.#queue.find((task) => isSameLineChange(task, change));
+
+    // Merge into the change to the same line that hasn't been sent yet
+    if (queuedTask) {
+      Object.assign(queuedTask.params, change);
+      for (const sectionId of options.sections ?? []) queuedTask.sections.add(sectionId);
+      if (options.sectionsUrl) queuedTask.sectionsUrl = options.sectionsUrl;
+    }
+
+    const promise = queuedTask?.promise ?? this.#enqueue('change', { ...change }, options);
+
+    if (this.#cart) this.#notify(this.#predictCart([this.#currentTask, ...this.#queue]), 'optimistic');
+
+    return promise;
+  }
+
+  /**
+   * Updates quantities, the note, attributes or discounts
+   * @param {CartUpdate} update - The update
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<CartMutationResult>}
+   */
+  update(update, options = {}) {
+    return this.#enqueue('update', update, options);
+  }
+
+  /**
+   * Removes every item from the cart
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<CartMutationResult>}
+   */
+  clear(options = {}) {
+    return this.#enqueue('clear', {}, options);
+  }
+
+  /**
+   * Replaces the discount codes applied to the cart
+   * @param {string[]} codes - The discount codes to apply
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<CartMutationResult>}
+   */
+  applyDiscount(codes, options = {}) {
+    return this.update({ discount: codes.join(',') }, options);
+  }
+
+  /**
+   * Queues a mutation
+   * @param {CartAction} action - The action to perform
+   * @param {any} params - The action parameters
+   * @param {CartRequestOptions} options - The request options
+   * @returns {Promise<CartMutationResult>}
+   */
+  #enqueue(action, params, options) {
+    /** @type {CartTask} */
+    const task = {
+      action,
+      params,
+      sections: new Set(options.sections),
+      sectionsUrl: options.sectionsUrl ?? window.location.pathname,
+      signal: options.signal,
+      resolve: () => {},
+      reject: () => {},
+      promise: Promise.resolve(/** @type {any} */ (null)),
+    };
+
+    task.promise = new Promise((resolve, reject) => {
+      task.resolve = resolve;
+      task.reject = reject;
+    });
+
+    this.#queue.push(task);
+
+    if (!this.#currentTask) this.#processQueue();
+
+    return task.promise;
+  }
+
+  /**
+   * Sends the queued mutations one at a time
+   */
+  async #processQueue() {
+    while ((this.#currentTask = this.#queue.shift() ?? null)) {
+      const task = this.#currentTask;
+
+      try {
+        task.signal?.throwIfAborted();
+
+        const { cart, sections } = await this.#run(task);
+        /** @type {Record<string, string>} */
+        const freshSections = {};
+
+        for (const sectionId of task.sections) this.#droppedSections.delete(sectionId);
+
+        // Leave out the sections that a queued mutation renders again, they would be stale by the time it's done.
+        // They're kept in case that mutation fails.
+        for (const [sectionId, html] of Object.entries(sections)) {
+          if (this.#queue.some((next) => next.sections.has(sectionId))) {
+            this.#droppedSections.set(sectionId, html);
+          } else {
+            freshSections[sectionId] = html;
+          }
+        }
+
+        task.resolve({ cart, sections: freshSections });
+      } catch (error) {
+        // Put back what the refused change predicted
+        if (task.action === 'change' && this.#cart) this.#notify(this.#predictCart(this.#queue), 'rollback');
+
+        if (error instanceof CartError) error.sections = this.#takeDroppedSections(task);
+
+        task.reject(error);
+      }
+    }
+  }
+
+  /**
+   * Refreshes the cart when apps or other scripts announce that they changed it with the public cart update event.
+   * The theme's components dispatch it with the cart they got from the store, which is already up to date.
+   * @param {Event} event - The cart update event
+   */
+  #onCartUpdate = (event) => {
+    const { detail } = /** @type {CustomEvent} */ (event);
+
+    if (detail?.data?.didError || (detail?.resource && detail.resource === this.#cart)) return;
+
+    this.refresh().catch(() => {});
+  };
+
+  /**
+   * Takes the sections left out of an earlier response for a mutation that failed, unless another queued mutation
+   * renders them again
+   * @param {CartTask} task - The failed mutation
+   * @returns {Record<string, string>} The sections by section ID
+   */
+  #takeDroppedSections(task) {
+    /** @type {Record<string, string>} */
+    const sections = {};
+
+    for (const sectionId of task.sections) {
+      const html = this.#droppedSections.get(sectionId);
+
+      if (html === undefined || this.#queue.some((next) => next.sections.has(sectionId))) continue;
+
+      sections[sectionId] = html;
+      this.#droppedSections.delete(sectionId);
+    }
+
+    return sections;
+  }
+
+  /**
+   * Sends a mutation and notifies the subscribers of the new cart
+   * @param {CartTask} task - The mutation
+   * @returns {Promise<CartMutationResult>}
+   */
+  async #run(task) {
+    const { action, params, signal } = task;
+    const sectionsParams = getSectionsParams(task);
+
+    if (action === 'refresh') {
+      const cart = await this.#fetchCart();
+      this.#notify(this.#predictCart(this.#queue), action);
+
+      return { cart, sections: {} };
+    }
+
+    if (action === 'add') {
+      /** @type {FormData | string} */
+      let body;
+
+      if (params instanceof FormData) {
+        for (const [name, value] of Object.entries(sectionsParams)) params.set(name, value);
+        body = params;
+      } else {
+        body = JSON.stringify({ ...params, ...sectionsParams });
+      }
+
+      const response = await fetch(Theme.routes.cart_add_url, {
+        ...fetchConfig(body instanceof FormData ? 'javascript' : 'json', { body }),
+        signal,
+      });
+      /** @type {{ sections?: Record<string, string> }} */
+      let json;
+
+      try {
+        json = await parseResponse(response);
+      } catch (error) {
+        // Adding more than the available quantity still adds what's available
+        if (error instanceof CartError) this.refresh().catch(() => {});
+
+        throw error;
+      }
+
+      // Adding only responds with the added items, the cart is fetched to keep a complete snapshot
+      const cart = await this.#fetchCart();
+      this.#notify(this.#predictCart(this.#queue), action);
+
+      return { cart, sections: json.sections ?? {} };
+    }
+
+    const url = {
+      change: Theme.routes.cart_change_url,
+      update: Theme.routes.cart_update_url,
+      clear: Theme.routes.cart_clear_url,
+    }[action];
+    const body = JSON.stringify({ ...params, ...sectionsParams });
+    const response = await fetch(url, { ...fetchConfig('json', { body }), signal });
+    /** @type {Cart & { sections?: Record<string, string> }} */
+    const { sections = {}, ...cart } = await parseResponse(response);
+
+    this.#cart = cart;
+    this.#notify(this.#predictCart(this.#queue), action);
+
+    return { cart, sections };
+  }
+
+  /**
+   * Predicts the cart once line changes are confirmed, from the last known cart and the unit prices
+   * @param {(CartTask | null)[]} tasks - The mutations to predict, only line changes are
+   * @returns {Cart}
+   */
+  #predictCart(tasks) {
+    const cart = /** @type {Cart} */ (this.#cart);
+    let items = cart.items;
+
+    for (const task of tasks) {
+      if (task?.action !== 'change' || task.params.quantity === undefined) continue;
+
+      const { id, line, quantity } = task.params;
+      const index = id ? items.findIndex((item) => item.key === id || String(item.id) === id) : line - 1;
+      const item = items[index];
+
+      if (!item) continue;
+
+      items = items.map((other) =>
+        other === item
+          ? {
+              ...item,
+              quantity,
+              line_price: item.price * quantity,
+              original_line_price: item.original_price * quantity,
+              final_line_price: item.final_price * quantity,
+            }
+          : other
+      );
+    }
+
+    if (items === cart.items) return cart;
+
+    // Cart-level discounts are left as they are until the server confirms
+    const difference = sumLines(items, 'final_line_price') - sumLines(cart.items, 'final_line_price');
+    const originalDifference = sumLines(items, 'original_line_price') - sumLines(cart.items, 'original_line_price');
+
+    return {
+      ...cart,
+      items: items.filter((item) => item.quantity > 0),
+      item_count: sumLines(items, 'quantity'),
+      items_subtotal_price: cart.items_subtotal_price + difference,
+      original_total_price: cart.original_total_price + originalDifference,
+      total_price: Math.max(0, cart.total_price + difference),
+    };
+  }
+
+  /**
+   * Fetches and stores the cart, sharing the request between concurrent calls
+   * @returns {Promise<Cart>}
+   */
+  #fetchCart() {
+    this.#pendingRefresh ??= fetch(`${Theme.routes.cart_url}.js`, { headers: { Accept: 'application/json' } })
+      .then(parseResponse)
+      .then((/** @type {Cart} */ cart) => {
+        this.#cart = cart;
+        return cart;
+      })
+      .finally(() => {
+        this.#pendingRefresh = null;
+      });
+
+    return this.#pendingRefresh;
+  }
+
+  /**
+   * @param {Cart} cart - The new cart
+   * @param {CartChangeReason} action - Why it changed
+   */
+  #notify(cart, action) {
+    for (const subscriber of this.#subscribers) {
+      try {
+        subscriber(cart, action);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+}
+
+/**
+ * Whether a queued mutation changes the same line as a change
+ * @param {CartTask} task - The queued mutation
+ * @param {CartLineChange} change - The change
+ * @returns {boolean}
+ */
+function isSameLineChange(task, change) {
+  if (task.action !== 'change' || task.signal) return false;
+
+  return change.id ? task.params.id === change.id : !!change.line && task.params.line === change.line;
+}
+
+/**
+ * Sums a numeric property of line items
+ * @param {CartItem[]} items - The line items
+ * @param {'quantity' | 'final_line_price' | 'original_line_price'} property - The property to sum
+ * @returns {number}
+ */
+function sumLines(items, property) {
+  return items.reduce((sum, item) => sum + item[property], 0);
+}
+
+/**
+ * Parses a cart API response
+ * @param {Response} response - The response
+ * @returns {Promise<any>} The parsed body
+ * @throws {CartError} When the request was rejected
+ */
+async function parseResponse(response) {
+  const json = await response.json();
+
+  if (!response.ok || typeof json.status === 'number' || json.errors) {
+    throw new CartError(
+      json.status ?? response.status,
+      json.message ?? response.statusText,
+      json.description ?? (typeof json.errors === 'string' ? json.errors : undefined),
+      json.errors
+    );
+  }
+
+  return json;
+}
+
+/**
+ * Gets the bundled section rendering parameters of a cart request
+ * @param {CartTask} task - The request
+ * @returns {Record<string, string>}
+ */
+function getSectionsParams({ sections, sectionsUrl }) {
+  return sections.size ? { sections: [...sections].join(','), sections_url: sectionsUrl } : {};
+}
+
+export const cartStore = new CartStore();
+
+Theme.cart = cartStore;
@@ -0,0 +1,97 @@
+import { ThemeEvents } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/** @typedef {import('./events').CartUpdateEvent} CartUpdateEvent */
+/** @typedef {import('./events').CartAddEvent} CartAddEvent */
+
+/**
+ * @typedef {Object} CartSyncMessage
+ * @property {number} [itemCount] - The number of items in the cart
+ * @property {number} timestamp - When the cart changed
+ */
+
+/**
+ * The name of the channel, and of the storage key used where BroadcastChannel isn't supported
+ * @constant {string}
+ */
+const CHANNEL_NAME = `theme-cart-sync:${window.Shopify?.shop ?? window.location.host}`;
+
+/**
+ * How often a tab syncs its cart at most, in milliseconds
+ * @constant {number}
+ */
+const SYNC_DELAY = 500;
+
+/** @type {BroadcastChannel | null} */
+const channel = 'BroadcastChannel' in window ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+/** @type {ReturnType<typeof setTimeout> | undefined} */
+let syncTimeout;
+
+/**
+ * Tells the other tabs that the cart changed
+ * @param {CartUpdateEvent | CartAddEvent} event - The cart update or cart add event
+ */
+function broadcastCartChange({ detail }) {
+  if (detail.data.didError) return;
+
+  /** @type {CartSyncMessage} */
+  const message = { itemCount: detail.data.itemCount, timestamp: Date.now() };
+
+  if (channel) {
+    channel.postMessage(message);
+    return;
+  }
+
+  try {
+    // Storage events only fire in the other tabs, and only when the value changes
+    localStorage.setItem(CHANNEL_NAME, JSON.stringify(message));
+  } catch (_) {
+    // no-op, the storage is full or disabled
+  }
+}
+
+/**
+ * Syncs the cart once the burst of changes from the other tabs is over, at most every `SYNC_DELAY` milliseconds
+ */
+function scheduleSync() {
+  syncTimeout ??= setTimeout(() => {
+    syncTimeout = undefined;
+
+    // Background tabs sync once they're shown again
+    if (document.visibilityState === 'hidden') {
+      document.addEventListener('visibilitychange', scheduleSync, { once: true });
+    } else {
+      syncCart();
+    }
+  }, SYNC_DELAY);
+}
+
+/**
+ * Refreshes the cart bubble and re-renders the cart sections on the page
+ */
+function syncCart() {
+  cartStore.refresh().catch(() => {});
+
+  const sectionIds = new Set();
+
+  for (const cartItems of document.querySelectorAll('cart-items-component')) {
+    if (cartItems instanceof HTMLElement && cartItems.dataset.sectionId) {
+      sectionIds.add(cartItems.dataset.sectionId);
+    }
+  }
+
+  // The section renderer reports the errors, the sections stay as they are until the next sync
+  if (sectionIds.size) sectionRenderer.renderSections([...sectionIds], { cache: false }).catch(() => {});
+}
+
+document.addEventListener(ThemeEvents.cartUpdate, broadcastCartChange);
+
+if (channel) {
+  channel.addEventListener('message', scheduleSync);
+} else {
+  window.addEventListener('storage', (event) => {
+    if (event.key === CHANNEL_NAME && event.newValue) scheduleSync();
+  });
+}
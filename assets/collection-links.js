@@ -18,11 +18,12 @@ import { cycleFocus } from '@theme/focus';
 class CollectionLinks extends Component {
   requiredRefs = ['container'];
 
-  /** @type {Scroller} */
+  /** @type {Scroller | undefined} */
   #scroll;
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     this.addEventListener('keydown', this.#handleKeydown);
     this.addEventListener(SlideshowSelectEvent.eventName, this.#handleSlideshowSelect);
@@ -33,7 +34,7 @@ class CollectionLinks extends Component {
   disconnectedCallback() {
     super.disconnectedCallback();
 
-    this.#scroll.destroy();
+    this.#scroll?.destroy();
   }
 
   get links() {
@@ -86,7 +87,7 @@ class CollectionLinks extends Component {
 
     this.#updateSelectedLink(index);
 
-    this.#scroll.to(selectedLink);
+    this.#scroll?.to(selectedLink);
   };
 
   /**
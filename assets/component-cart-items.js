@@ -1,6 +1,9 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import { debounce, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
+import { formatCents } from '@theme/money';
+import { cartStore, CartError } from '@theme/cart-store';
+import { SavedItems } from '@theme/saved-items';
 import {
   ThemeEvents,
   CartUpdateEvent,
@@ -11,6 +14,10 @@ import {
 import { cartPerformance } from '@theme/performance';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
+/** @typedef {import('./cart-store').Cart} Cart */
+/** @typedef {import('./cart-store').CartItem} CartItem */
+/** @typedef {import('./cart-store').CartItemToAdd} CartItemToAdd */
+/** @typedef {import('./cart-store').CartChangeReason} CartChangeReason */
 
 /**
  * A custom element that displays a cart items component.
@@ -19,14 +26,36 @@ import { cartPerformance } from '@theme/performance';
  * @property {HTMLElement[]} quantitySelectors - The quantity selector elements.
  * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows.
  * @property {TextComponent} cartTotal - The cart total.
+ * @property {TextComponent[]} linePrices - The line item prices.
  *
- * @extends {Component<Refs>}
+ * @typedef {object} State
+ * @property {string} [undoMessage] - The message about the last removed line.
+ * @property {boolean} [canUndo] - Whether the last removed line can be put back.
+ *
+ * @extends {Component<Refs, State>}
  */
 class CartItemsComponent extends Component {
   #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  /**
+   * The last removed line and its nested lines, as they need to be added back.
+   * @type {{ title: string, items: CartItemToAdd[] } | null}
+   */
+  #removedLines = null;
+
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  #undoTimeout;
+
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
+
+    this.#unsubscribe = cartStore.subscribe(this.#onCartChange);
+    // Quantity changes are predicted from the loaded cart
+    cartStore.load().catch(() => {});
 
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
@@ -36,6 +65,8 @@ class CartItemsComponent extends Component {
   disconnectedCallback() {
     super.disconnectedCallback();
 
+    this.#unsubscribe?.();
+    clearTimeout(this.#undoTimeout);
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
   }
@@ -58,12 +89,6 @@ class CartItemsComponent extends Component {
       quantity,
       action: 'change',
     });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
-
-    if (!lineItemRow) return;
-
-    const textComponent = /** @type {TextComponent | undefined} */ (lineItemRow.querySelector('text-component'));
-    textComponent?.shimmer();
   }
 
   /**
@@ -71,34 +96,144 @@ class CartItemsComponent extends Component {
    * @param {number} line - The line item index.
    */
   onLineItemRemove(line) {
+    const rows = this.#getLineRows(line);
+    const removedLines = getLinesToRestore(rows.map((row) => row.dataset.key));
+
     this.updateQuantity({
       line,
       quantity: 0,
       action: 'clear',
+    }).then((updated) => {
+      if (updated && removedLines) this.#offerUndo(removedLines);
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
-
-    if (!cartItemRowToRemove) return;
+    // Flag the row and its nested lines for feedback, the morph animates them out once the cart is updated
+    for (const row of rows) {
+      row.classList.add('removing');
+    }
+  }
 
-    const rowsToRemove = [
-      cartItemRowToRemove,
-      // Get all nested lines of the row to remove
-      ...this.refs.cartItemRows.filter((row) => row.dataset.parentKey === cartItemRowToRemove.dataset.key),
-    ];
+  /**
+   * Moves a line item out of the cart, to the list of items saved for later.
+   * @param {number} line - The line item index.
+   */
+  saveLineItemForLater(line) {
+    const rows = this.#getLineRows(line);
+    const item = cartStore.cart?.items.find(({ key }) => key === rows[0]?.dataset.key);
+    const lines = getLinesToRestore(rows.map((row) => row.dataset.key));
 
-    // Add class to the row to trigger the animation
-    rowsToRemove.forEach((row) => {
-      const remove = () => row.remove();
+    // Without all its nested lines, the item couldn't be moved back to the cart as it was
+    if (!item || !lines) return;
 
-      if (prefersReducedMotion()) return remove();
+    this.updateQuantity({
+      line,
+      quantity: 0,
+      action: 'save-for-later',
+    })
+      .then((updated) => {
+        if (!updated) return;
+
+        const saved = SavedItems.addItem({
+          key: item.key,
+          id: item.id,
+          productId: item.product_id,
+          quantity: item.quantity,
+          properties: item.properties,
+          sellingPlan: item.selling_plan_allocation?.selling_plan.id,
+          children: lines.items.slice(1).map((child) => ({
+            id: Number(child.id),
+            quantity: child.quantity,
+            properties: child.properties ?? {},
+            sellingPlan: child.selling_plan,
+          })),
+        });
+
+        // The storage can be full or disabled, the lines are put back rather than lost
+        if (!saved) {
+          this.#removedLines = lines;
+          this.undoLineItemRemove();
+        }
+      })
+      .catch((error) => console.error(error));
 
-      row.style.setProperty('--row-height', `${row.clientHeight}px`);
+    for (const row of rows) {
       row.classList.add('removing');
+    }
+  }
 
-      // Remove the row after the animation ends
-      onAnimationEnd(row, remove);
-    });
+  /**
+   * Gets the row of a line item and the rows of its nested lines.
+   * @param {number} line - The line item index.
+   * @returns {HTMLTableRowElement[]} The rows.
+   */
+  #getLineRows(line) {
+    const row = this.refs.cartItemRows[line - 1];
+
+    if (!row) return [];
+
+    return [row, ...this.refs.cartItemRows.filter(({ dataset }) => dataset.parentKey === row.dataset.key)];
+  }
+
+  /**
+   * Puts back the last removed line with its quantity, properties, selling plan and nested lines.
+   */
+  undoLineItemRemove() {
+    const removedLines = this.#removedLines;
+
+    if (!removedLines) return;
+
+    this.#removedLines = null;
+    this.state.canUndo = false;
+    clearTimeout(this.#undoTimeout);
+
+    cartStore
+      .add({ items: removedLines.items }, { sections: this.#sectionsToUpdate })
+      .then(({ cart, sections }) => {
+        this.dispatchEvent(
+          new CartUpdateEvent(cart, this.sectionId, {
+            itemCount: cart.item_count,
+            source: 'cart-items-component',
+            sections,
+          })
+        );
+
+        const cartItemsHtml = sections[this.sectionId];
+        if (cartItemsHtml) morphSection(this.sectionId, cartItemsHtml);
+
+        this.#showUndoMessage(Theme.translations.cart_item_restored?.replace('[title]', removedLines.title) ?? '');
+      })
+      .catch((error) => {
+        if (error instanceof CartError) {
+          this.#showUndoMessage(error.description ?? error.message);
+        } else {
+          console.error(error);
+        }
+      });
+  }
+
+  /**
+   * Offers to put back removed lines for a while.
+   * @param {{ title: string, items: CartItemToAdd[] }} removedLines - The removed lines.
+   */
+  #offerUndo(removedLines) {
+    this.#removedLines = removedLines;
+    this.state.canUndo = true;
+    this.#showUndoMessage(Theme.translations.cart_item_removed?.replace('[title]', removedLines.title) ?? '');
+  }
+
+  /**
+   * Shows a message in the undo notice, which is also announced to screen readers, and hides it after a while.
+   * @param {string} message - The message.
+   */
+  #showUndoMessage(message) {
+    this.state.undoMessage = message;
+
+    clearTimeout(this.#undoTimeout);
+    this.#undoTimeout = setTimeout(() => {
+      this.#removedLines = null;
+      this.state.canUndo = false;
+      this.state.undoMessage = '';
+    }, UNDO_TIMEOUT);
   }
 
   /**
@@ -107,74 +242,102 @@ class CartItemsComponent extends Component {
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
    * @param {string} config.action - The action.
+   * @returns {Promise<boolean>} Whether the cart was updated.
    */
   updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
 
-    this.#disableCartItems();
-
     const { line, quantity } = config;
     const { cartTotal } = this.refs;
-
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
-
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
-    });
+    // Target the line by key, its index can shift while other lines are being removed
+    const key = this.refs.cartItemRows[line - 1]?.dataset.key;
 
     cartTotal?.shimmer();
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
-
+    return cartStore
+      .change(key ? { id: key, quantity } : { line, quantity }, { sections: this.#sectionsToUpdate })
+      .then(({ cart, sections }) => {
         resetShimmer(this);
 
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
-        }
-
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
-
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
-
         this.dispatchEvent(
-          new CartUpdateEvent({}, this.sectionId, {
-            itemCount: newCartItemCount,
+          new CartUpdateEvent(cart, this.sectionId, {
+            itemCount: cart.item_count,
             source: 'cart-items-component',
-            sections: parsedResponseText.sections,
+            sections,
           })
         );
 
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
+        // Left out when a queued change renders the section again
+        const cartItemsHtml = sections[this.sectionId];
+        if (cartItemsHtml) morphSection(this.sectionId, cartItemsHtml);
+
+        return true;
       })
       .catch((error) => {
-        console.error(error);
+        resetShimmer(this);
+
+        if (error instanceof CartError) {
+          // The sections an earlier change left out for this one are rendered now that it's refused
+          if (cartStore.cart && Object.keys(error.sections).length) {
+            this.dispatchEvent(
+              new CartUpdateEvent(cartStore.cart, this.sectionId, {
+                itemCount: cartStore.cart.item_count,
+                source: 'cart-items-component',
+                sections: error.sections,
+              })
+            );
+
+            const cartItemsHtml = error.sections[this.sectionId];
+            if (cartItemsHtml) morphSection(this.sectionId, cartItemsHtml);
+          }
+
+          // Earlier removals can shift the line by the time the change is refused
+          const index = key ? this.refs.cartItemRows.findIndex((row) => row.dataset.key === key) : line - 1;
+          if (index !== -1) this.#handleCartError(index + 1, error.description ?? error.message);
+        } else {
+          console.error(error);
+        }
+
+        return false;
       })
       .finally(() => {
-        this.#enableCartItems();
         cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
       });
   }
 
+  /**
+   * Shows predicted line changes right away, and puts back the ones the server refused.
+   * @param {Cart} cart - The cart.
+   * @param {CartChangeReason} action - Why the cart changed.
+   */
+  #onCartChange = (cart, action) => {
+    if (action !== 'optimistic' && action !== 'rollback') return;
+
+    for (const row of this.refs.cartItemRows) {
+      const item = cart.items.find(({ key }) => key === row.dataset.key);
+      const { parentKey } = row.dataset;
+
+      // Removed lines and their nested lines stay until the section is morphed
+      if (!item || (parentKey && !cart.items.some(({ key }) => key === parentKey))) continue;
+
+      row.classList.remove('removing');
+
+      const input = row.querySelector('input[data-cart-line]');
+      if (input instanceof HTMLInputElement && input !== document.activeElement) {
+        input.value = String(item.quantity);
+      }
+    }
+
+    for (const linePrice of this.refs.linePrices ?? []) {
+      const item = cart.items.find(({ key }) => key === linePrice.dataset.key);
+      if (!item) continue;
+
+      const format = linePrice.hasAttribute('data-with-currency') ? Theme.money.with_currency_format : undefined;
+      linePrice.innerHTML = formatCents(item.final_line_price, format);
+      linePrice.setAttribute('value', linePrice.textContent ?? '');
+    }
+  };
+
   /**
    * Handles the discount update.
    * @param {DiscountUpdateEvent} event - The event.
@@ -186,10 +349,9 @@ class CartItemsComponent extends Component {
   /**
    * Handles the cart error.
    * @param {number} line - The line.
-   * @param {Object} parsedResponseText - The parsed response text.
-   * @param {string} parsedResponseText.errors - The errors.
+   * @param {string} message - The error message.
    */
-  #handleCartError = (line, parsedResponseText) => {
+  #handleCartError = (line, message) => {
     const quantitySelector = this.refs.quantitySelectors[line - 1];
     const quantityInput = quantitySelector?.querySelector('input');
 
@@ -203,7 +365,7 @@ class CartItemsComponent extends Component {
     if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
     if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
 
-    cartItemError.textContent = parsedResponseText.errors;
+    cartItemError.textContent = message;
     cartItemErrorContainer.classList.remove('hidden');
   };
 
@@ -213,8 +375,11 @@ class CartItemsComponent extends Component {
    * @param {DiscountUpdateEvent | CartUpdateEvent | CartAddEvent} event
    */
   #handleCartUpdate = (event) => {
+    // A queued cart change already renders the section with the latest cart
+    const isRendering = cartStore.isRenderingSection(this.sectionId);
+
     if (event instanceof DiscountUpdateEvent) {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      if (!isRendering) sectionRenderer.renderSections(this.#sectionsToUpdate, { cache: false });
       return;
     }
     if (event.target === this) return;
@@ -222,23 +387,25 @@ class CartItemsComponent extends Component {
     const cartItemsHtml = event.detail.data.sections?.[this.sectionId];
     if (cartItemsHtml) {
       morphSection(this.sectionId, cartItemsHtml);
-    } else {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+    } else if (!isRendering) {
+      sectionRenderer.renderSections(this.#sectionsToUpdate, { cache: false });
     }
   };
 
   /**
-   * Disables the cart items.
+   * Gets the ids of every cart items section on the page, starting with this one.
+   * @returns {string[]} The section ids.
    */
-  #disableCartItems() {
-    this.classList.add('cart-items-disabled');
-  }
+  get #sectionsToUpdate() {
+    const sectionsToUpdate = new Set([this.sectionId]);
 
-  /**
-   * Enables the cart items.
-   */
-  #enableCartItems() {
-    this.classList.remove('cart-items-disabled');
+    for (const item of document.querySelectorAll('cart-items-component')) {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        sectionsToUpdate.add(item.dataset.sectionId);
+      }
+    }
+
+    return Array.from(sectionsToUpdate);
   }
 
   /**
@@ -254,6 +421,43 @@ class CartItemsComponent extends Component {
   }
 }
 
+/**
+ * How long a removed line can be put back, in milliseconds
+ * @constant {number}
+ */
+const UNDO_TIMEOUT = 8000;
+
+/**
+ * Gets what's needed to add removed lines back, from the last known cart
+ * @param {(string | undefined)[]} keys - The keys of the line and of its nested lines
+ * @returns {{ title: string, items: CartItemToAdd[] } | null}
+ */
+function getLinesToRestore(keys) {
+  const items = keys.map((key) => cartStore.cart?.items.find((item) => item.key === key));
+  const [parent, ...children] = items;
+
+  if (!parent || !children.every((child) => child !== undefined)) return null;
+
+  return {
+    title: parent.title,
+    items: [getItemToAdd(parent), ...children.map((child) => ({ ...getItemToAdd(child), parent_id: parent.id }))],
+  };
+}
+
+/**
+ * Gets what's needed to add a line item back
+ * @param {CartItem} item - The line item
+ * @returns {CartItemToAdd}
+ */
+function getItemToAdd(item) {
+  return {
+    id: item.id,
+    quantity: item.quantity,
+    properties: item.properties,
+    selling_plan: item.selling_plan_allocation?.selling_plan.id,
+  };
+}
+
 if (!customElements.get('cart-items-component')) {
   customElements.define('cart-items-component', CartItemsComponent);
 }
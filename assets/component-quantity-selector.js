@@ -1,15 +1,51 @@
 import { Component } from '@theme/component';
-import { QuantitySelectorUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart-store';
+import { QuantitySelectorUpdateEvent, ThemeEvents, VariantUpdateEvent } from '@theme/events';
 
 /**
  * A custom element that allows the user to select a quantity.
  *
+ * On a product, the selector follows the quantity rules of the selected variant, counting what's already in the cart:
+ * the total must be at least the minimum, at most the maximum, and a multiple of the increment.
+ *
  * @typedef {Object} Refs
  * @property {HTMLInputElement} quantityInput
+ * @property {HTMLElement} [quantityMessage] - Explains why a quantity was changed.
  *
  * @extends {Component<Refs>}
  */
 class QuantitySelectorComponent extends Component {
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  /** @type {AbortController | undefined} */
+  #abortController;
+
+  connectedCallback() {
+    super.connectedCallback();
+    if (this.hasError) return;
+
+    // Cart lines are rendered with the rules of their variant, and hold the whole quantity
+    if (!this.dataset.variantId) return;
+
+    this.#abortController = new AbortController();
+
+    const closestSection = this.closest('.shopify-section, dialog');
+    closestSection?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, {
+      signal: this.#abortController.signal,
+    });
+
+    this.#unsubscribe = cartStore.subscribe(() => this.#updateRules());
+    this.#updateRules();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController?.abort();
+    this.#unsubscribe?.();
+  }
+
   /**
    * Handles the quantity increase event.
    * @param {Event} event - The event.
@@ -56,32 +92,169 @@ class QuantitySelectorComponent extends Component {
     if (event.target instanceof HTMLInputElement) {
       this.refs.quantityInput.value = event.target.value;
     }
-    this.#onQuantityChange();
+    this.#onQuantityChange(true);
   }
 
   /**
    * Handles the quantity change event.
+   * @param {boolean} [explain] - Whether to tell the user why their quantity was changed.
    */
-  #onQuantityChange() {
+  #onQuantityChange(explain = false) {
     const { quantityInput } = this.refs;
 
-    this.#checkQuantityRules();
+    this.#checkQuantityRules(explain);
     const newValue = parseInt(quantityInput.value);
 
     quantityInput.dispatchEvent(new QuantitySelectorUpdateEvent(newValue, Number(quantityInput.dataset.cartLine)));
   }
 
   /**
-   * Checks the quantity rules are met
+   * Checks the quantity rules are met, snapping the quantity to the closest valid one
+   * @param {boolean} [explain] - Whether to tell the user why their quantity was changed.
    */
-  #checkQuantityRules = () => {
+  #checkQuantityRules = (explain = false) => {
     const { quantityInput } = this.refs;
-    const { min, max, value: newValue } = quantityInput;
+    const value = parseInt(quantityInput.value);
+    const min = Number(quantityInput.min) || 0;
+    const max = quantityInput.max === '' ? Infinity : Number(quantityInput.max);
+    const step = Number(quantityInput.step) || 1;
+
+    // Valid quantities are steps from the minimum, like the input's own validation
+    let snapped = isNaN(value) ? min : min + Math.round((value - min) / step) * step;
+
+    if (snapped > max) snapped = max - ((max - min) % step);
+    if (snapped < min) snapped = min;
+
+    /** @type {string | undefined} */
+    let message;
+
+    if (!isNaN(value) && snapped !== value) {
+      const inCartQuantity = this.dataset.variantId ? this.#inCartQuantity : 0;
+
+      if (value < min) {
+        message = Theme.translations.quantity_minimum?.replace('[quantity]', String(min));
+      } else if (value > max && inCartQuantity) {
+        message = Theme.translations.quantity_maximum_in_cart
+          ?.replace('[maximum]', String(max + inCartQuantity))
+          .replace('[quantity]', String(inCartQuantity));
+      } else if (value > max) {
+        message = Theme.translations.quantity_maximum?.replace('[quantity]', String(max));
+      } else {
+        message = Theme.translations.quantity_increment?.replace('[quantity]', String(step));
+      }
+    }
+
+    quantityInput.value = String(snapped);
+    this.#showMessage(explain ? message : undefined);
+  };
+
+  /**
+   * Shows why the quantity was changed, or hides the message.
+   * @param {string} [message] - The message.
+   */
+  #showMessage(message) {
+    const { quantityMessage } = this.refs;
+
+    if (!quantityMessage) return;
+
+    quantityMessage.textContent = message ?? '';
+    quantityMessage.hidden = !message;
+  }
+
+  /**
+   * Updates the rules to the variant the product form now adds.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    const { html, productId, newProduct } = event.detail.data;
+    const { resource } = event.detail;
+
+    if (!newProduct && productId !== this.closest('product-form-component')?.getAttribute('data-product-id')) return;
+
+    const newSelector = html?.querySelector('quantity-selector-component[data-variant-id]');
+    const rule = resource?.quantity_rule;
 
-    if (newValue < min && min) quantityInput.value = min;
-    if (newValue > max && max) quantityInput.value = max;
+    if (newSelector instanceof HTMLElement) {
+      Object.assign(this.dataset, {
+        variantId: newSelector.dataset.variantId,
+        quantityMin: newSelector.dataset.quantityMin,
+        quantityMax: newSelector.dataset.quantityMax,
+        quantityIncrement: newSelector.dataset.quantityIncrement,
+      });
+    } else if (resource && rule) {
+      Object.assign(this.dataset, {
+        variantId: String(resource.id),
+        quantityMin: String(rule.min ?? 1),
+        quantityMax: rule.max == null ? '' : String(rule.max),
+        quantityIncrement: String(rule.increment ?? 1),
+      });
+    } else {
+      return;
+    }
+
+    this.#updateRules();
   };
 
+  /**
+   * Updates the bounds and step of the input to the quantities that can still be added to the cart.
+   */
+  #updateRules() {
+    const { quantityInput } = this.refs;
+    const min = Number(this.dataset.quantityMin) || 1;
+    const max = this.dataset.quantityMax ? Number(this.dataset.quantityMax) : null;
+    const increment = Number(this.dataset.quantityIncrement) || 1;
+
+    // The quantity in the cart only matters to the rules when there are some
+    if (!cartStore.cart && (min > 1 || max !== null || increment > 1)) {
+      cartStore
+        .load()
+        .then(() => this.#updateRules())
+        .catch(() => {});
+    }
+
+    const inCartQuantity = this.#inCartQuantity;
+    const minTotal = Math.ceil(Math.max(min, inCartQuantity + 1) / increment) * increment;
+    const minQuantity = minTotal - inCartQuantity;
+    const maxQuantity = max === null ? null : Math.floor(max / increment) * increment - inCartQuantity;
+
+    quantityInput.min = String(minQuantity);
+    quantityInput.step = String(increment);
+
+    if (maxQuantity === null) {
+      quantityInput.removeAttribute('max');
+    } else {
+      quantityInput.max = String(Math.max(maxQuantity, minQuantity));
+    }
+
+    const previousValue = quantityInput.value;
+
+    this.#checkQuantityRules();
+
+    if (maxQuantity !== null && maxQuantity < minQuantity) {
+      this.#showMessage(
+        Theme.translations.quantity_maximum_in_cart
+          ?.replace('[maximum]', String(max))
+          .replace('[quantity]', String(inCartQuantity))
+      );
+    }
+
+    if (quantityInput.value !== previousValue) {
+      quantityInput.dispatchEvent(new QuantitySelectorUpdateEvent(parseInt(quantityInput.value)));
+    }
+  }
+
+  /**
+   * The quantity of the variant that's already in the cart
+   * @returns {number}
+   */
+  get #inCartQuantity() {
+    const variantId = Number(this.dataset.variantId);
+
+    return (cartStore.cart?.items ?? [])
+      .filter(({ id }) => id === variantId)
+      .reduce((total, { quantity }) => total + quantity, 0);
+  }
+
   /**
    * Gets the quantity input.
    * @returns {HTMLInputElement} The quantity input.
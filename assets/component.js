@@ -1,5 +1,6 @@
 import { DeclarativeShadowElement } from '@theme/critical';
-import { requestIdleCallback } from '@theme/utilities';
+import { debounce, requestIdleCallback, scheduler, throttle } from '@theme/utilities';
+import { ThemeEvents, ComponentErrorEvent } from '@theme/events';
 
 /**
  * @typedef {Record<string, Element | Element[] | undefined>} Refs
@@ -10,13 +11,26 @@ import { requestIdleCallback } from '@theme/utilities';
  * @typedef {T & Refs} RefsType
  */
 
+/**
+ * @typedef {Record<string, any>} State
+ */
+
+const BINDING_ATTRIBUTES = ['data-bind-text', 'data-bind-class', 'data-bind-hidden'];
+
 /**
  * Base class that powers our custom web components.
  *
  * Manages references to child elements with `ref` attributes and sets up mutation observers to keep
- * the refs updated when the DOM changes. Also handles declarative event listeners using.
+ * the refs updated when the DOM changes. Also handles declarative event listeners using `on:{event}` attributes,
+ * and renders the reactive `state` into the elements with `data-bind-*` attributes.
+ *
+ * Acts as an error boundary: when it fails to connect or update, like when a required ref is missing, or when a
+ * declarative event handler throws, the component is put in its error state (see `handleError`) rather than being
+ * left half initialized. Subclasses skip their own setup while `hasError` is true, and the error state is cleared once
+ * the component connects or updates without error.
  *
  * @template {Refs} [T=Refs]
+ * @template {State} [S=State]
  * @extends {DeclarativeShadowElement}
  */
 export class Component extends DeclarativeShadowElement {
@@ -34,25 +48,71 @@ export class Component extends DeclarativeShadowElement {
    */
   requiredRefs;
 
+  /**
+   * The reactive state of the component.
+   *
+   * Changes to its properties are batched and rendered on the next frame into the elements with binding attributes,
+   * which take a state property, optionally negated with `!`:
+   * - `data-bind-text="count"` sets the text content
+   * - `data-bind-hidden="!count"` toggles the `hidden` attribute
+   * - `data-bind-class="is-empty: !count, is-loading: loading"` toggles classes
+   *
+   * Bindings to properties that are not set yet leave the server-rendered markup as is.
+   * Only the top-level properties are reactive: replace nested objects and arrays rather than mutating them.
+   *
+   * @type {S}
+   */
+  state = /** @type {S} */ ({});
+
+  /**
+   * The elements of the component with binding attributes.
+   *
+   * @type {Element[]}
+   */
+  #boundElements = [];
+
+  /**
+   * Whether the state is observed for changes.
+   *
+   * @type {boolean}
+   */
+  #stateObserved = false;
+
   /**
    * Gets the root node of the component, which is either its shadow root or the component itself.
    *
-   * @returns {(ShadowRoot | Component<T>)[]} The root nodes.
+   * @returns {(ShadowRoot | Component<T, S>)[]} The root nodes.
    */
   get roots() {
     return this.shadowRoot ? [this, this.shadowRoot] : [this];
   }
 
+  /**
+   * Resolves once the pending state changes are rendered.
+   *
+   * @returns {Promise<void>}
+   */
+  get updateComplete() {
+    return new Promise((resolve) => scheduler.schedule(() => resolve()));
+  }
+
   /**
    * Called when the element is connected to the document's DOM.
    *
-   * Initializes event listeners and refs.
+   * Initializes event listeners, refs and state.
    */
   connectedCallback() {
     super.connectedCallback();
-    registerEventListeners();
+    registerEventListeners(...this.roots);
 
-    this.#updateRefs();
+    this.#observeState();
+
+    try {
+      this.#updateRefs();
+      this.removeAttribute('data-error');
+    } catch (error) {
+      this.handleError(error);
+    }
 
     requestIdleCallback(() => {
       for (const root of this.roots) {
@@ -60,7 +120,7 @@ export class Component extends DeclarativeShadowElement {
           childList: true,
           subtree: true,
           attributes: true,
-          attributeFilter: ['ref'],
+          attributeFilter: ['ref', ...BINDING_ATTRIBUTES],
           attributeOldValue: true,
         });
       }
@@ -72,7 +132,15 @@ export class Component extends DeclarativeShadowElement {
    */
   updatedCallback() {
     this.#mutationObserver.takeRecords();
-    this.#updateRefs();
+
+    try {
+      this.#updateRefs();
+      this.removeAttribute('data-error');
+    } catch (error) {
+      this.handleError(error);
+    }
+
+    registerEventListeners(...this.roots);
   }
 
   /**
@@ -84,6 +152,38 @@ export class Component extends DeclarativeShadowElement {
     this.#mutationObserver.disconnect();
   }
 
+  /**
+   * Whether the component is in its error state, in which case subclasses skip their own setup.
+   *
+   * @returns {boolean}
+   */
+  get hasError() {
+    return this.hasAttribute('data-error');
+  }
+
+  /**
+   * Puts the component in its error state.
+   *
+   * Marks the component with `data-error`, which reveals its `slot="fallback"` child in place of its content if
+   * the author provided one, and dispatches a `component:error` event for reporting.
+   * Aborted requests, like fetches superseded by newer ones, are expected and ignored.
+   * Override to recover from errors in a more specific way.
+   *
+   * @param {unknown} error - The error that was thrown.
+   */
+  handleError(error) {
+    if (isAbortError(error)) return;
+
+    console.error(error);
+
+    this.setAttribute('data-error', '');
+
+    const section = this.closest('.shopify-section');
+    const sectionId = this.dataset.sectionId ?? section?.id.replace('shopify-section-', '') ?? '';
+
+    this.dispatchEvent(new ComponentErrorEvent(this.tagName.toLowerCase(), sectionId, error));
+  }
+
   /**
    * Updates the `refs` object by querying all descendant elements with `ref` attributes and storing references to them.
    *
@@ -99,6 +199,15 @@ export class Component extends DeclarativeShadowElement {
 
       return acc;
     }, /** @type {Set<Element>} */ (new Set()));
+    const bindingSelector = BINDING_ATTRIBUTES.map((attribute) => `[${attribute}]`).join(',');
+    /** @type {Element[]} */
+    const boundElements = this.matches(bindingSelector) ? [this] : [];
+
+    for (const root of this.roots) {
+      for (const element of root.querySelectorAll(bindingSelector)) {
+        if (this.#isDescendant(element)) boundElements.push(element);
+      }
+    }
 
     for (const ref of elements) {
       const refName = ref.getAttribute('ref') ?? '';
@@ -124,14 +233,91 @@ export class Component extends DeclarativeShadowElement {
     }
 
     this.refs = /** @type {RefsType<T>} */ (refs);
+    this.#boundElements = boundElements;
+
+    if (boundElements.length) scheduler.schedule(this.#render);
+  }
+
+  /**
+   * Makes the `state` reactive, including when it's declared as a class field or replaced later on.
+   */
+  #observeState() {
+    if (this.#stateObserved) return;
+    this.#stateObserved = true;
+
+    /** @type {ProxyHandler<S>} */
+    const handler = {
+      set: (target, property, value) => {
+        if (Reflect.get(target, property) === value) return true;
+
+        Reflect.set(target, property, value);
+        scheduler.schedule(this.#render);
+
+        return true;
+      },
+      deleteProperty: (target, property) => {
+        Reflect.deleteProperty(target, property);
+        scheduler.schedule(this.#render);
+
+        return true;
+      },
+    };
+    let state = new Proxy(this.state, handler);
+
+    Object.defineProperty(this, 'state', {
+      get: () => state,
+      set: (value) => {
+        state = new Proxy(value, handler);
+        scheduler.schedule(this.#render);
+      },
+    });
   }
 
+  /**
+   * Renders the state into the elements with binding attributes.
+   */
+  #render = () => {
+    for (const element of this.#boundElements) {
+      const text = element.getAttribute('data-bind-text');
+      const hidden = element.getAttribute('data-bind-hidden');
+      const classes = element.getAttribute('data-bind-class');
+
+      if (text) {
+        const value = readState(this.state, text);
+        const content = value == null ? '' : String(value);
+
+        if (value !== undefined && element.textContent !== content) element.textContent = content;
+      }
+
+      if (hidden) {
+        const value = readState(this.state, hidden);
+
+        if (value !== undefined) element.toggleAttribute('hidden', Boolean(value));
+      }
+
+      if (classes) {
+        for (const binding of classes.split(',')) {
+          const [className = '', expression = ''] = binding.split(':').map((part) => part.trim());
+          const value = readState(this.state, expression);
+
+          if (className && value !== undefined) element.classList.toggle(className, Boolean(value));
+        }
+      }
+    }
+  };
+
   /**
    * MutationObserver instance to observe changes in the component's DOM subtree and update refs accordingly.
    *
    * @type {MutationObserver}
    */
   #mutationObserver = new MutationObserver((mutations) => {
+    const addedElements = mutations.flatMap((m) =>
+      m.type === 'childList' ? [...m.addedNodes].filter((node) => node instanceof Element) : []
+    );
+
+    registerEventListeners(...addedElements);
+
     if (
       mutations.some(
         (m) =>
@@ -152,6 +338,23 @@ export class Component extends DeclarativeShadowElement {
   #isDescendant = (node) => getClosestComponent(getAncestor(node)) === this;
 }
 
+/**
+ * Reads a state property, or a nested property using dots.
+ *
+ * @param {State} state - The state.
+ * @param {string} expression - The property, negated if prefixed with `!`.
+ * @returns {unknown} The value, or undefined if the property isn't set.
+ */
+function readState(state, expression) {
+  const negated = expression.startsWith('!');
+  const path = negated ? expression.slice(1).trim() : expression;
+  const value = path.split('.').reduce((value, key) => value?.[key], state);
+
+  if (value === undefined) return undefined;
+
+  return negated ? !value : value;
+}
+
 /**
  * Get the ancestor of a given node.
  *
@@ -184,100 +387,293 @@ function getClosestComponent(node) {
   return null;
 }
 
+/**
+ * @typedef {Object} EventBinding
+ * @property {string} type - The lowercase event type
+ * @property {boolean} once - Only handle the event the first time
+ * @property {boolean} passive - Listen passively, the handler can't prevent the default behavior
+ * @property {boolean} prevent - Call `preventDefault()` before the handler
+ * @property {boolean} stop - Call `stopPropagation()` before the handler
+ * @property {boolean} self - Only handle events dispatched on the element itself
+ * @property {number} [debounce] - Debounce the handler by this many milliseconds
+ * @property {number} [throttle] - Throttle the handler to once every this many milliseconds
+ */
+
+/**
+ * @typedef {Object} DelegatedListener
+ * @property {string[]} attributes - The event attributes handled by the listener
+ * @property {string} selector - A selector matching any of the attributes
+ */
+
+const events = ['click', 'change', 'select', 'focus', 'blur', 'submit', 'input', 'keydown', 'keyup', 'toggle'];
+const shouldBubble = ['focus', 'blur'];
+const expensiveEvents = ['pointerenter', 'pointerleave'];
+const DEFAULT_RATE_LIMIT = 250;
+
+/**
+ * The parsed event attributes, by attribute name
+ * @type {Map<string, EventBinding>}
+ */
+const bindings = new Map();
+
+/**
+ * The delegated document listeners, by event type and passiveness
+ * @type {Map<string, DelegatedListener>}
+ */
+const listeners = new Map();
+
+/**
+ * The `once` event attributes that were already handled, by element
+ * @type {WeakMap<Element, Set<string>>}
+ */
+const handledOnce = new WeakMap();
+
+/**
+ * The debounced and throttled handlers, by element and event attribute
+ * @type {WeakMap<Element, Map<string, (callback: () => void) => void>>}
+ */
+const rateLimitedHandlers = new WeakMap();
+
+let initialized = false;
+
 /**
  * Initializes the event listeners for custom event handling.
  *
- * Sets up event listeners for specified events and delegates the handling of those events
- * to methods defined on the closest `Component` instance, based on custom attributes.
+ * Delegates events to methods defined on the closest `Component` instance, based on `on:{event}` attributes.
+ * Any DOM or theme event can be bound, and the attribute name can be followed by modifiers:
+ * - `once`: only handle the event the first time
+ * - `passive`: listen passively, the handler can't prevent the default behavior
+ * - `prevent`: call `preventDefault()` before the handler
+ * - `stop`: call `stopPropagation()` before the handler, the event doesn't reach the target's own listeners
+ * - `self`: only handle events dispatched on the element itself, not on its descendants
+ * - `debounce` and `throttle`: rate limit the handler, optionally followed by the wait in milliseconds
+ *
+ * Theme events and other custom events announce changes to the whole page, so like events dispatched on the document,
+ * they are delegated to every element bound to them rather than only to the ancestors of their target.
+ *
+ * @example
+ * <input on:input.debounce.300="/search">
+ * <div on:cart:update.once="/refresh">
+ *
+ * @param {...Node} roots - The roots to look for event attributes in
  */
-let initialized = false;
+function registerEventListeners(...roots) {
+  if (!initialized) {
+    initialized = true;
 
-function registerEventListeners() {
-  if (initialized) return;
-  initialized = true;
+    for (const eventName of [...events, ...expensiveEvents]) addEventAttribute(`on:${eventName}`);
 
-  const events = ['click', 'change', 'select', 'focus', 'blur', 'submit', 'input', 'keydown', 'keyup', 'toggle'];
-  const shouldBubble = ['focus', 'blur'];
-  const expensiveEvents = ['pointerenter', 'pointerleave'];
+    roots.unshift(document);
+  }
 
-  for (const eventName of [...events, ...expensiveEvents]) {
-    const attribute = `on:${eventName}`;
+  for (const root of roots) {
+    const attributes = document.evaluate(
+      './/@*[starts-with(name(), "on:")]',
+      root,
+      null,
+      XPathResult.UNORDERED_NODE_SNAPSHOT_TYPE,
+      null
+    );
 
-    document.addEventListener(
-      eventName,
-      (event) => {
-        const element = getElement(event);
+    for (let i = 0; i < attributes.snapshotLength; i++) {
+      const attribute = attributes.snapshotItem(i);
 
-        if (!element) return;
+      if (attribute) addEventAttribute(attribute.nodeName);
+    }
+  }
+}
 
-        const proxiedEvent =
-          event.target !== element
-            ? new Proxy(event, {
-                get(target, property) {
-                  if (property === 'target') return element;
+/**
+ * Parses an event attribute and makes sure its event is delegated.
+ *
+ * @param {string} attribute - The attribute name, e.g. `on:click.prevent`.
+ */
+function addEventAttribute(attribute) {
+  if (bindings.has(attribute)) return;
 
-                  const value = Reflect.get(target, property);
+  const [type = '', ...modifiers] = attribute.slice(3).split('.');
 
-                  if (typeof value === 'function') {
-                    return value.bind(target);
-                  }
+  if (!type) return;
 
-                  return value;
-                },
-              })
-            : event;
+  /** @type {EventBinding} */
+  const binding = {
+    type,
+    once: modifiers.includes('once'),
+    passive: modifiers.includes('passive'),
+    prevent: modifiers.includes('prevent'),
+    stop: modifiers.includes('stop'),
+    self: modifiers.includes('self'),
+  };
 
-        const value = element.getAttribute(attribute) ?? '';
-        let [selector, method] = value.split('/');
-        // Extract the last segment of the attribute value delimited by `?` or `/`
-        // Do not use lookback for Safari 16.0 compatibility
-        const matches = value.match(/([\/\?][^\/\?]+)([\/\?][^\/\?]+)$/);
-        const data = matches ? matches[2] : null;
-        const instance = selector
-          ? selector.startsWith('#')
-            ? document.querySelector(selector)
-            : element.closest(selector)
-          : getClosestComponent(element);
+  for (const modifier of /** @type {const} */ (['debounce', 'throttle'])) {
+    const index = modifiers.indexOf(modifier);
 
-        if (!(instance instanceof Component) || !method) return;
+    if (index !== -1) binding[modifier] = parseInt(modifiers[index + 1] ?? '', 10) || DEFAULT_RATE_LIMIT;
+  }
 
-        method = method.replace(/\?.*/, '');
+  bindings.set(attribute, binding);
 
-        const callback = /** @type {any} */ (instance)[method];
+  const key = binding.passive ? `${type}.passive` : type;
+  let listener = listeners.get(key);
 
-        if (typeof callback === 'function') {
-          try {
-            /** @type {(Event | Data)[]} */
-            const args = [proxiedEvent];
+  if (!listener) {
+    listener = { attributes: [], selector: '' };
+    listeners.set(key, listener);
+    addDelegatedListener(type, binding.passive, listener);
+  }
 
-            if (data) args.unshift(parseData(data));
+  listener.attributes.push(attribute);
+  listener.selector = listener.attributes.map((name) => `[${CSS.escape(name)}]`).join(',');
+}
 
-            callback.call(instance, ...args);
-          } catch (error) {
-            console.error(error);
-          }
+/**
+ * Listens to an event on the document and delegates it to the elements bound to it.
+ *
+ * @param {string} type - The lowercase event type.
+ * @param {boolean} passive - Whether to listen passively.
+ * @param {DelegatedListener} listener - The listener state.
+ */
+function addDelegatedListener(type, passive, listener) {
+  // Attribute names are lowercase, while some theme events are not
+  const themeEventName = Object.values(ThemeEvents).find((name) => name.toLowerCase() === type);
+  const eventName = themeEventName ?? type;
+
+  document.addEventListener(
+    eventName,
+    (event) => {
+      const target = event.composedPath?.()[0] ?? event.target;
+
+      if (target === document || themeEventName || event instanceof CustomEvent) {
+        for (const element of document.querySelectorAll(listener.selector)) {
+          handleEvent(event, element, listener);
         }
-      },
-      { capture: true }
-    );
+
+        return;
+      }
+
+      if (!(target instanceof Element)) return;
+
+      const element =
+        expensiveEvents.includes(type) || !(event.bubbles || shouldBubble.includes(type))
+          ? target.matches(listener.selector)
+            ? target
+            : null
+          : target.closest(listener.selector);
+
+      if (element) handleEvent(event, element, listener);
+    },
+    { capture: true, passive }
+  );
+}
+
+/**
+ * Calls the component method an element binds to an event.
+ *
+ * @param {Event} event - The event.
+ * @param {Element} element - The element with the event attribute.
+ * @param {DelegatedListener} listener - The listener that caught the event.
+ */
+function handleEvent(event, element, listener) {
+  const attribute = listener.attributes.find((name) => element.hasAttribute(name));
+  const binding = attribute && bindings.get(attribute);
+
+  if (!attribute || !binding) return;
+  if (binding.self && (event.composedPath?.()[0] ?? event.target) !== element) return;
+  if (binding.once && handledOnce.get(element)?.has(attribute)) return;
+
+  const proxiedEvent =
+    event.target !== element
+      ? new Proxy(event, {
+          get(target, property) {
+            if (property === 'target') return element;
+
+            const value = Reflect.get(target, property);
+
+            if (typeof value === 'function') {
+              return value.bind(target);
+            }
+
+            return value;
+          },
+        })
+      : event;
+
+  const value = element.getAttribute(attribute) ?? '';
+  let [selector, method] = value.split('/');
+  // Extract the last segment of the attribute value delimited by `?` or `/`
+  // Do not use lookback for Safari 16.0 compatibility
+  const matches = value.match(/([\/\?][^\/\?]+)([\/\?][^\/\?]+)$/);
+  const data = matches ? matches[2] : null;
+  const instance = selector
+    ? selector.startsWith('#')
+      ? document.querySelector(selector)
+      : element.closest(selector)
+    : getClosestComponent(element);
+
+  if (!(instance instanceof Component) || !method) return;
+
+  method = method.replace(/\?.*/, '');
+
+  const callback = /** @type {any} */ (instance)[method];
+
+  if (typeof callback !== 'function') return;
+
+  if (binding.once) {
+    const handled = handledOnce.get(element) ?? new Set();
+
+    handled.add(attribute);
+    handledOnce.set(element, handled);
   }
 
-  /** @param {Event} event */
-  function getElement(event) {
-    const target = event.composedPath?.()[0] ?? event.target;
+  if (binding.prevent) event.preventDefault();
+  if (binding.stop) event.stopPropagation();
 
-    if (!(target instanceof Element)) return;
+  const call = () => {
+    try {
+      /** @type {(Event | Data)[]} */
+      const args = [proxiedEvent];
 
-    if (target.hasAttribute(`on:${event.type}`)) {
-      return target;
-    }
+      if (data) args.unshift(parseData(data));
+
+      const result = callback.call(instance, ...args);
 
-    if (expensiveEvents.includes(event.type)) {
-      return null;
+      if (result instanceof Promise) result.catch((error) => instance.handleError(error));
+    } catch (error) {
+      instance.handleError(error);
     }
+  };
+
+  if (binding.debounce || binding.throttle) {
+    getRateLimitedHandler(element, attribute, binding)(call);
+  } else {
+    call();
+  }
+}
 
-    return event.bubbles || shouldBubble.includes(event.type) ? target.closest(`[on\\:${event.type}]`) : null;
+/**
+ * Gets the debounced or throttled handler of an element's event attribute.
+ *
+ * @param {Element} element - The element.
+ * @param {string} attribute - The event attribute.
+ * @param {EventBinding} binding - The parsed event attribute.
+ * @returns {(callback: () => void) => void} A rate limited function calling the callback it's given.
+ */
+function getRateLimitedHandler(element, attribute, binding) {
+  const handlers = rateLimitedHandlers.get(element) ?? new Map();
+  let handler = handlers.get(attribute);
+
+  if (!handler) {
+    /** @param {() => void} callback */
+    const run = (callback) => callback();
+
+    handler = binding.debounce
+      ? debounce(run, binding.debounce)
+      : throttle(run, binding.throttle ?? DEFAULT_RATE_LIMIT);
+    handlers.set(attribute, handler);
+    rateLimitedHandlers.set(element, handlers);
   }
+
+  return handler;
 }
 
 /**
@@ -317,6 +713,16 @@ function parseValue(str) {
   return str;
 }
 
+/**
+ * Whether an error is the rejection of an aborted request.
+ *
+ * @param {unknown} error - The error.
+ * @returns {boolean}
+ */
+function isAbortError(error) {
+  return error instanceof DOMException && error.name === 'AbortError';
+}
+
 /**
  * Throws a formatted error when a required ref is not found in the component.
  */
@@ -0,0 +1,177 @@
+import { normalizeString } from '@theme/utilities';
+
+/**
+ * @typedef {Object} MatchOptions
+ * @property {boolean} [matchLabel] - Whether to match the label.
+ * @property {boolean} [matchAlias] - Whether to match the alias.
+ * @property {boolean} [matchIso] - Whether to match the iso.
+ * @property {boolean} [matchCurrency] - Whether to match the currency.
+ * @property {boolean} [labelMatchStart] - Whether to match the label start.
+ * @property {boolean} [aliasExactMatch] - Whether to match the alias exact match.
+ */
+
+/**
+ * @typedef {Object} MatchTypes
+ * @property {boolean} [label] - Whether the label matches the search value.
+ * @property {boolean} [alias] - Whether the alias matches the search value.
+ * @property {boolean} [iso] - Whether the iso matches the search value.
+ * @property {boolean} [currency] - Whether the currency matches the search value.
+ */
+
+/**
+ * Finds matches for a given search value in a country element.
+ *
+ * @param {string} searchValue - The search value to find matches for.
+ * @param {HTMLElement} countryEl - The country element to find matches in.
+ * @param {MatchOptions} options - The options for the search.
+ * @returns {MatchTypes} The matches found in the country element.
+ */
+export function findCountryMatches(
+  searchValue,
+  countryEl,
+  options = {
+    // Which data types (label, alias, iso) to match against
+    matchLabel: true,
+    matchAlias: true,
+    matchIso: true,
+    matchCurrency: true,
+    // If true, the search value must match the start of the label
+    labelMatchStart: false,
+    // If true, a result will not display unless the search value equals an alias in its entirety
+    aliasExactMatch: false,
+  }
+) {
+  let matchTypes = {};
+  const { aliases, value: iso } = countryEl.dataset;
+
+  if (options.matchLabel) {
+    const countryName = normalizeString(countryEl.querySelector('.country')?.textContent ?? '');
+
+    if (!countryName) return matchTypes;
+
+    matchTypes.label = options.labelMatchStart
+      ? countryName.startsWith(searchValue)
+      : countryName.includes(searchValue);
+  }
+
+  if (options.matchCurrency) {
+    const currency = normalizeString(countryEl.querySelector('.localization-form__currency')?.textContent ?? '');
+    matchTypes.currency = currency.includes(searchValue);
+  }
+
+  if (options.matchIso) {
+    matchTypes.iso = normalizeString(iso ?? '') == searchValue;
+  }
+
+  if (options.matchAlias) {
+    const countryAliases = aliases?.split(',').map((alias) => normalizeString(alias));
+
+    if (!countryAliases) return matchTypes;
+
+    matchTypes.alias =
+      countryAliases.length > 0 &&
+      countryAliases.find((alias) =>
+        options.aliasExactMatch ? alias === searchValue : alias.startsWith(searchValue)
+      ) !== undefined;
+  }
+
+  return matchTypes;
+}
+
+/**
+ * Highlights matching text in a string by wrapping it in <mark> tags.
+ *
+ * @param {string | null} text - The text to highlight.
+ * @param {string} searchValue - The search value to highlight.
+ * @returns {string} The text with matching parts wrapped in <mark> tags.
+ */
+export function highlightMatches(text, searchValue) {
+  if (!text || !searchValue) return text ?? '';
+
+  const normalizedText = normalizeString(text);
+  const normalizedSearch = normalizeString(searchValue);
+  const startIndex = normalizedText.indexOf(normalizedSearch);
+
+  if (startIndex === -1) return text;
+
+  const endIndex = startIndex + normalizedSearch.length;
+  const before = text.slice(0, startIndex);
+  const match = text.slice(startIndex, endIndex);
+  const after = text.slice(endIndex);
+
+  let result = '';
+  if (before) {
+    result += `<mark>${before}</mark>`;
+  }
+  result += match;
+  if (after) {
+    result += `<mark>${after}</mark>`;
+  }
+  return result;
+}
+
+/**
+ * Hides the countries that don't match the search value, and highlights the matches in the others.
+ *
+ * @param {HTMLElement[]} countryListItems - The country elements.
+ * @param {string} searchValue - The normalized search value, or an empty string to show every country.
+ * @returns {number} The number of countries shown.
+ */
+export function filterCountries(countryListItems, searchValue) {
+  let countVisibleCountries = 0;
+
+  for (const countryEl of countryListItems) {
+    if (searchValue === '') {
+      countryEl.removeAttribute('hidden');
+      const countrySpan = countryEl.querySelector('.country');
+      if (countrySpan) {
+        // eslint-disable-next-line no-self-assign
+        countrySpan.textContent = countrySpan.textContent;
+      }
+      countVisibleCountries++;
+    } else {
+      const matches = findCountryMatches(searchValue, countryEl);
+
+      // In the future, we could reorder/rank filtered results based on the match types
+      if (matches.label || matches.alias || matches.iso || matches.currency) {
+        countryEl.removeAttribute('hidden');
+        const countrySpan = countryEl.querySelector('.country');
+        if (countrySpan) {
+          countrySpan.innerHTML = highlightMatches(countrySpan.textContent, searchValue);
+        }
+        countVisibleCountries++;
+      } else {
+        countryEl.setAttribute('hidden', '');
+      }
+    }
+  }
+
+  return countVisibleCountries;
+}
+
+/**
+ * Moves the focus to the previous or next country shown, wrapping around the list.
+ *
+ * @param {HTMLElement[]} countryListItems - The country elements.
+ * @param {'UP' | 'DOWN'} direction - The direction to change the focus.
+ */
+export function changeCountryFocus(countryListItems, direction) {
+  const focusableItems = countryListItems.filter((item) => !item.hasAttribute('hidden'));
+  const focusedItemIndex = focusableItems.findIndex((item) => item === document.activeElement);
+  const focusedItem = focusableItems[focusedItemIndex];
+  let itemToFocus;
+
+  if (direction === 'UP') {
+    itemToFocus =
+      focusedItemIndex > 0 ? focusableItems[focusedItemIndex - 1] : focusableItems[focusableItems.length - 1];
+  } else {
+    itemToFocus =
+      focusedItemIndex < focusableItems.length - 1 ? focusableItems[focusedItemIndex + 1] : focusableItems[0];
+  }
+
+  if (focusedItem) {
+    focusedItem.setAttribute('aria-selected', 'false');
+  }
+  itemToFocus?.setAttribute('aria-selected', 'true');
+  itemToFocus?.focus();
+}
@@ -0,0 +1,508 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { debounce } from '@theme/utilities';
+
+/**
+ * The localStorage flag that enables the inspector, see `snippets/scripts.liquid`
+ */
+const STORAGE_KEY = 'theme-inspector';
+
+/**
+ * The prefix of the section renderer performance measures
+ */
+const SECTION_MEASURE_PREFIX = 'section-renderer:';
+
+const MAX_LOG_ENTRIES = 100;
+const MAX_DETAIL_LENGTH = 400;
+
+/**
+ * @typedef {Object} LogEntry
+ * @property {number} time - The time of the entry, relative to the navigation start
+ * @property {string} name - The event or measure name
+ * @property {string} details - The event detail or the measure duration
+ */
+
+/**
+ * @typedef {Object} Handler
+ * @property {Element} element - The element with the `on:{event}` attribute
+ * @property {string} attribute - The attribute name, including modifiers
+ * @property {string} value - The attribute value
+ */
+
+const TEMPLATE = `
+  <style>
+    :host {
+      all: initial;
+      position: fixed;
+      inset: auto 12px 12px auto;
+      z-index: 2147483647;
+      display: flex;
+      flex-direction: column;
+      width: min(440px, calc(100vw - 24px));
+      max-height: 60vh;
+      font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace;
+      color: #e6e6e6;
+      background: #1d1f23;
+      border-radius: 8px;
+      box-shadow: 0 8px 24px rgb(0 0 0 / 0.35);
+    }
+
+    :host([minimized]) .inspector__body {
+      display: none;
+    }
+
+    header {
+      display: flex;
+      gap: 6px;
+      align-items: center;
+      padding: 6px 8px;
+      border-bottom: 1px solid #33363c;
+    }
+
+    header strong {
+      flex-grow: 1;
+    }
+
+    button {
+      font: inherit;
+      color: inherit;
+      background: #2c2f35;
+      border: 0;
+      border-radius: 4px;
+      padding: 2px 6px;
+      cursor: pointer;
+    }
+
+    .inspector__body {
+      overflow: auto;
+      padding: 4px 8px 8px;
+    }
+
+    summary {
+      cursor: pointer;
+      padding: 2px 0;
+    }
+
+    ul {
+      margin: 2px 0 6px;
+      padding-left: 16px;
+    }
+
+    li {
+      overflow-wrap: anywhere;
+    }
+
+    .inspector__muted {
+      color: #8b9099;
+    }
+
+    .inspector__error {
+      color: #ff7b72;
+    }
+
+    .inspector__highlight {
+      position: fixed;
+      pointer-events: none;
+      outline: 2px solid #58a6ff;
+      background: rgb(88 166 255 / 0.15);
+    }
+  </style>
+  <header>
+    <strong>Theme inspector</strong>
+    <button type="button" data-action="refresh">Refresh</button>
+    <button type="button" data-action="clear">Clear logs</button>
+    <button type="button" data-action="minimize">_</button>
+    <button type="button" data-action="disable" title="Disable the inspector">×</button>
+  </header>
+  <div class="inspector__body">
+    <details open>
+      <summary>Components (<span data-count="components">0</span>)</summary>
+      <div data-list="components"></div>
+    </details>
+    <details open>
+      <summary>Theme events (<span data-count="events">0</span>)</summary>
+      <ul data-list="events"></ul>
+    </details>
+    <details open>
+      <summary>Section renders (<span data-count="renders">0</span>)</summary>
+      <ul data-list="renders"></ul>
+    </details>
+  </div>
+  <div class="inspector__highlight" hidden></div>
+`;
+
+/**
+ * A developer overlay listing the mounted custom elements with their refs, state and declarative handlers,
+ * along with a live log of the theme events and of the section renders.
+ *
+ * Only loaded when enabled with the `?inspector=1` query param, see `snippets/scripts.liquid`.
+ */
+class ThemeInspector extends HTMLElement {
+  /** @type {LogEntry[]} */
+  #events = [];
+
+  /** @type {LogEntry[]} */
+  #renders = [];
+
+  /** @type {HTMLElement[]} */
+  #components = [];
+
+  /** @type {AbortController | undefined} */
+  #abortController;
+
+  #performanceObserver = new PerformanceObserver((list) => {
+    for (const entry of list.getEntriesByType('measure')) {
+      if (!entry.name.startsWith(SECTION_MEASURE_PREFIX)) continue;
+
+      this.#log(this.#renders, {
+        time: entry.startTime,
+        name: entry.name.slice(SECTION_MEASURE_PREFIX.length),
+        details: `${entry.duration.toFixed(1)}ms`,
+      });
+    }
+  });
+
+  connectedCallback() {
+    const shadowRoot = this.shadowRoot ?? this.attachShadow({ mode: 'open' });
+    shadowRoot.innerHTML = TEMPLATE;
+
+    this.#abortController = new AbortController();
+    const { signal } = this.#abortController;
+
+    for (const eventName of Object.values(ThemeEvents)) {
+      document.addEventListener(eventName, this.#handleThemeEvent, { capture: true, signal });
+    }
+
+    shadowRoot.addEventListener('click', this.#handleClick, { signal });
+    shadowRoot.addEventListener('pointerover', this.#handlePointerOver, { signal });
+    shadowRoot.addEventListener('pointerleave', () => this.#highlight(null), { signal, capture: true });
+
+    this.#performanceObserver.observe({ type: 'measure', buffered: true });
+    this.#renderComponents();
+  }
+
+  disconnectedCallback() {
+    this.#abortController?.abort();
+    this.#performanceObserver.disconnect();
+  }
+
+  /**
+   * @param {Event} event
+   */
+  #handleThemeEvent = (event) => {
+    const target = event.target instanceof Element ? describeElement(event.target) : 'document';
+
+    this.#log(this.#events, {
+      time: event.timeStamp,
+      name: `${event.type} on ${target}`,
+      details: stringify('detail' in event ? event.detail : undefined),
+    });
+  };
+
+  /**
+   * @param {Event} event
+   */
+  #handleClick = (event) => {
+    const action = event.target instanceof HTMLElement ? event.target.dataset.action : undefined;
+
+    switch (action) {
+      case 'refresh':
+        this.#renderComponents();
+        break;
+      case 'clear':
+        this.#events = [];
+        this.#renders = [];
+        this.#renderLogs();
+        break;
+      case 'minimize':
+        this.toggleAttribute('minimized');
+        break;
+      case 'disable':
+        localStorage.removeItem(STORAGE_KEY);
+        this.remove();
+        break;
+    }
+  };
+
+  /**
+   * Highlights the component whose entry is hovered
+   * @param {Event} event
+   */
+  #handlePointerOver = (event) => {
+    const summary = event.target instanceof Element ? event.target.closest('summary[data-index]') : null;
+    const index = summary instanceof HTMLElement ? Number(summary.dataset.index) : NaN;
+
+    this.#highlight(this.#components[index] ?? null);
+  };
+
+  /**
+   * @param {Element | null} element - The element to highlight, or null to clear the highlight
+   */
+  #highlight(element) {
+    const highlight = this.shadowRoot?.querySelector('.inspector__highlight');
+
+    if (!(highlight instanceof HTMLElement)) return;
+
+    highlight.hidden = !element;
+
+    if (!element) return;
+
+    const { top, left, width, height } = element.getBoundingClientRect();
+
+    Object.assign(highlight.style, { top: `${top}px`, left: `${left}px`, width: `${width}px`, height: `${height}px` });
+  }
+
+  /**
+   * Adds an entry to a log, keeping the most recent entries only
+   * @param {LogEntry[]} log
+   * @param {LogEntry} entry
+   */
+  #log(log, entry) {
+    log.unshift(entry);
+    log.length = Math.min(log.length, MAX_LOG_ENTRIES);
+
+    this.#renderLogs();
+  }
+
+  #renderLogs = debounce(() => {
+    this.#renderList('events', this.#events);
+    this.#renderList('renders', this.#renders);
+  }, 100);
+
+  /**
+   * @param {string} name - The list name
+   * @param {LogEntry[]} entries - The log entries
+   */
+  #renderList(name, entries) {
+    const list = this.shadowRoot?.querySelector(`[data-list="${name}"]`);
+    const count = this.shadowRoot?.querySelector(`[data-count="${name}"]`);
+
+    if (!list || !count) return;
+
+    count.textContent = String(entries.length);
+    list.replaceChildren(
+      ...entries.map(({ time, name, details }) =>
+        createElement('li', {}, [
+          createElement('span', { class: 'inspector__muted' }, [`${(time / 1000).toFixed(2)}s `]),
+          name,
+          details ? createElement('div', { class: 'inspector__muted' }, [details]) : '',
+        ])
+      )
+    );
+  }
+
+  /**
+   * Lists the mounted custom elements
+   */
+  #renderComponents() {
+    const list = this.shadowRoot?.querySelector('[data-list="components"]');
+    const count = this.shadowRoot?.querySelector('[data-count="components"]');
+
+    if (!list || !count) return;
+
+    this.#components = [...document.querySelectorAll('*')].filter(
+      /** @returns {element is HTMLElement} */
+      (element) => element instanceof HTMLElement && element !== this && !!customElements.get(element.localName)
+    );
+
+    const handlers = getHandlersByComponent();
+
+    count.textContent = String(this.#components.length);
+    list.replaceChildren(
+      ...this.#components.map((element, index) => {
+        const missingRefs = getMissingRefs(element);
+        const badges = [
+          element.hasAttribute('data-error') ? 'error' : '',
+          missingRefs.length ? `${missingRefs.length} missing refs` : '',
+        ].filter(Boolean);
+
+        return createElement('details', {}, [
+          createElement('summary', { 'data-index': String(index) }, [
+            describeElement(element),
+            badges.length ? createElement('span', { class: 'inspector__error' }, [` ${badges.join(', ')}`]) : '',
+          ]),
+          ...describeComponent(element, missingRefs, handlers.get(element) ?? []),
+        ]);
+      })
+    );
+  }
+}
+
+/**
+ * Describes the refs, state and handlers of a component
+ * @param {HTMLElement} element - The component
+ * @param {string[]} missingRefs - The required refs that are missing
+ * @param {Handler[]} handlers - The declarative handlers delegated to the component
+ * @returns {HTMLElement[]} The description
+ */
+function describeComponent(element, missingRefs, handlers) {
+  if (!(element instanceof Component)) {
+    return [createElement('div', { class: 'inspector__muted' }, ['Not a Component'])];
+  }
+
+  const refs = Object.entries(element.refs).map(([name, ref]) =>
+    createElement('li', {}, [
+      `${name}: `,
+      Array.isArray(ref) ? `[${ref.length}] ${ref.map(describeElement).join(', ')}` : ref ? describeElement(ref) : '',
+    ])
+  );
+  const missing = missingRefs.map((name) =>
+    createElement('li', { class: 'inspector__error' }, [`${name}: missing`])
+  );
+  const stateEntries = Object.entries(element.state);
+
+  return [
+    createElement('div', {}, ['Refs']),
+    createElement('ul', {}, refs.length || missing.length ? [...missing, ...refs] : ['none']),
+    createElement('div', {}, ['Handlers']),
+    createElement(
+      'ul',
+      {},
+      handlers.length
+        ? handlers.map(({ element, attribute, value }) =>
+            createElement('li', {}, [`${attribute}="${value}" on ${describeElement(element)}`])
+          )
+        : ['none']
+    ),
+    ...(stateEntries.length
+      ? [createElement('div', {}, ['State']), createElement('ul', {}, [stringify(element.state)])]
+      : []),
+  ];
+}
+
+/**
+ * Gets the required refs a component is missing
+ * @param {HTMLElement} element - The component
+ * @returns {string[]} The missing ref names
+ */
+function getMissingRefs(element) {
+  if (!(element instanceof Component)) return [];
+
+  return (element.requiredRefs ?? []).filter((name) => !(name in element.refs));
+}
+
+/**
+ * Groups the `on:{event}` attributes of the page by the component they are delegated to
+ * @returns {Map<Element, Handler[]>} The handlers by component
+ */
+function getHandlersByComponent() {
+  /** @type {Map<Element, Handler[]>} */
+  const handlers = new Map();
+  const attributes = document.evaluate(
+    '//@*[starts-with(name(), "on:")]',
+    document,
+    null,
+    XPathResult.UNORDERED_NODE_SNAPSHOT_TYPE,
+    null
+  );
+
+  for (let i = 0; i < attributes.snapshotLength; i++) {
+    const attribute = attributes.snapshotItem(i);
+
+    if (!(attribute instanceof Attr) || !attribute.ownerElement) continue;
+
+    const element = attribute.ownerElement;
+    const [selector] = attribute.value.split('/');
+    const component = selector
+      ? selector.startsWith('#')
+        ? document.querySelector(selector)
+        : element.closest(selector)
+      : getClosestComponent(element);
+
+    if (!component) continue;
+
+    const componentHandlers = handlers.get(component) ?? [];
+    componentHandlers.push({ element, attribute: attribute.name, value: attribute.value });
+    handlers.set(component, componentHandlers);
+  }
+
+  return handlers;
+}
+
+/**
+ * Finds the component an element delegates its events to when its handler has no selector
+ * @param {Element} element
+ * @returns {Element | null}
+ */
+function getClosestComponent(element) {
+  /** @type {Node | null} */
+  let node = element;
+
+  while (node) {
+    if (node instanceof Component) return node;
+
+    const root = node.getRootNode();
+    node = node.parentNode instanceof Element ? node.parentNode : root instanceof ShadowRoot ? root.host : null;
+  }
+
+  return null;
+}
+
+/**
+ * Describes an element as a short selector
+ * @param {Element} element
+ * @returns {string}
+ */
+function describeElement(element) {
+  const id = element.id ? `#${element.id}` : '';
+  const classes = [...element.classList]
+    .slice(0, 2)
+    .map((name) => `.${name}`)
+    .join('');
+
+  return `<${element.localName}${id}${classes}>`;
+}
+
+/**
+ * Serializes a value for the log, describing elements and skipping circular references
+ * @param {unknown} value
+ * @returns {string}
+ */
+function stringify(value) {
+  if (value === undefined) return '';
+
+  const seen = new WeakSet();
+
+  try {
+    const json = JSON.stringify(value, (_key, value) => {
+      if (value instanceof Element) return describeElement(value);
+      if (value instanceof Node) return value.nodeName;
+
+      if (value && typeof value === 'object') {
+        if (seen.has(value)) return '[circular]';
+        seen.add(value);
+      }
+
+      return value;
+    });
+
+    return json && json.length > MAX_DETAIL_LENGTH ? `${json.slice(0, MAX_DETAIL_LENGTH)}…` : json ?? '';
+  } catch (error) {
+    return String(error);
+  }
+}
+
+/**
+ * Creates an element with attributes and children
+ * @param {string} tagName
+ * @param {Record<string, string>} attributes
+ * @param {(Node | string)[]} children
+ * @returns {HTMLElement}
+ */
+function createElement(tagName, attributes, children) {
+  const element = document.createElement(tagName);
+
+  for (const [name, value] of Object.entries(attributes)) element.setAttribute(name, value);
+
+  element.append(...children);
+
+  return element;
+}
+
+if (!customElements.get('theme-inspector')) {
+  customElements.define('theme-inspector', ThemeInspector);
+}
+
+if (!document.querySelector('theme-inspector')) {
+  document.body.append(document.createElement('theme-inspector'));
+}
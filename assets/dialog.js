@@ -14,6 +14,7 @@ export class DialogComponent extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     if (this.minWidth || this.maxWidth) {
       window.addEventListener('resize', this.#handleResize);
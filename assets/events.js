@@ -26,6 +26,12 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered when a section fails to render */
+  static sectionRenderError = 'section:render-error';
+  /** @static @constant {string} Event triggered when a component fails to initialize or to handle an event */
+  static componentError = 'component:error';
+  /** @static @constant {string} Event triggered when items are saved for later or taken off the list */
+  static savedItemsUpdate = 'saved-items:update';
 }
 
 /**
@@ -56,14 +62,29 @@ export class VariantUpdateEvent extends Event {
    * @param {Object} resource - The new variant object
    * @param {string} resource.id - The id of the variant
    * @param {boolean} resource.available - Whether the variant is available
-   * @param {boolean} resource.inventory_management - Whether the variant has inventory management
+   * @param {string | null} resource.inventory_management - The service tracking the inventory of the variant, if any
    * @param {Object} [resource.featured_media] - The featured media of the variant
    * @param {string} [resource.featured_media.id] - The id of the featured media
    * @param {Object} [resource.featured_media.preview_image] - The preview image of the featured media
    * @param {string} [resource.featured_media.preview_image.src] - The src URL of the preview image
+   * @param {number} [resource.price] - The price of the variant, in cents
+   * @param {number | null} [resource.compare_at_price] - The compare at price of the variant, in cents
+   * @param {number} [resource.unit_price] - The unit price of the variant, in cents
+   * @param {Object} [resource.unit_price_measurement] - The measurement the unit price is expressed in
+   * @param {number} [resource.unit_price_measurement.reference_value] - The reference value of the measurement
+   * @param {string} [resource.unit_price_measurement.reference_unit] - The reference unit of the measurement
+   * @param {number} [resource.inventory_quantity] - The inventory quantity of the variant
+   * @param {string} [resource.inventory_policy] - Whether the variant can be sold out of stock, `continue` or `deny`
+   * @param {Object} [resource.quantity_rule] - The quantities the variant can be bought in
+   * @param {number} [resource.quantity_rule.min] - The minimum quantity
+   * @param {number | null} [resource.quantity_rule.max] - The maximum quantity, if any
+   * @param {number} [resource.quantity_rule.increment] - The quantity must be a multiple of the increment
+   * @param {{ minimum_quantity: number, price: number }[]} [resource.quantity_price_breaks] - The volume prices of the
+   * variant, in cents, by minimum quantity
    * @param {string} sourceId - The id of the element the action was triggered from
    * @param {Object} data - Additional event data
-   * @param {Document} data.html - The new document fragment for the variant
+   * @param {Document} [data.html] - The new document fragment for the variant, absent when the variant was resolved
+   * from the product data embedded in the variant picker
    * @param {string} data.productId - The product ID of the updated variant, used to ensure the correct product form is updated
    * @param {Object} [data.newProduct] - If a new product was loaded as part of the variant update (combined listing)
    * @param {string} data.newProduct.id - The id of the new product
@@ -287,3 +308,61 @@ export class FilterUpdateEvent extends Event {
     return [...this.detail.queryParams.entries()].filter(([key]) => key.startsWith('filter.')).length > 0;
   }
 }
+
+/**
+ * Event class for section rendering failures
+ * @extends {Event}
+ */
+export class SectionRenderErrorEvent extends Event {
+  /**
+   * Creates a new SectionRenderErrorEvent
+   * @param {string} sectionId - The id of the section that failed to render
+   * @param {number} status - The response status, or 0 if the request timed out or could not be sent
+   */
+  constructor(sectionId, status) {
+    super(ThemeEvents.sectionRenderError, { bubbles: true });
+    this.detail = {
+      sectionId,
+      status,
+    };
+  }
+}
+
+/**
+ * Event class for component failures
+ * @extends {Event}
+ */
+export class ComponentErrorEvent extends Event {
+  /**
+   * Creates a new ComponentErrorEvent
+   * @param {string} tagName - The tag name of the component that failed
+   * @param {string} sectionId - The id of the section the component belongs to, or an empty string
+   * @param {unknown} error - The error that was thrown
+   */
+  constructor(tagName, sectionId, error) {
+    super(ThemeEvents.componentError, { bubbles: true, composed: true });
+    this.detail = {
+      tagName,
+      sectionId,
+      message: error instanceof Error ? error.message : String(error),
+      stack: error instanceof Error ? error.stack : undefined,
+    };
+  }
+}
+
+/**
+ * Event class for changes to the items saved for later
+ * @extends {Event}
+ */
+export class SavedItemsUpdateEvent extends Event {
+  /**
+   * Creates a new SavedItemsUpdateEvent
+   * @param {Object[]} items - The items saved for later
+   */
+  constructor(items) {
+    super(ThemeEvents.savedItemsUpdate, { bubbles: true });
+    this.detail = {
+      items,
+    };
+  }
+}
@@ -1,7 +1,8 @@
-import { sectionRenderer } from '@theme/section-renderer';
+import { normalizeSectionId, sectionRenderer } from '@theme/section-renderer';
 import { Component } from '@theme/component';
-import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
+import { FilterUpdateEvent, SectionRenderErrorEvent, ThemeEvents } from '@theme/events';
 import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
+import { formatCents } from '@theme/money';
 
 /**
  * Search query parameter.
@@ -15,12 +16,38 @@ const SEARCH_QUERY = 'q';
  * @typedef {Object} FacetsFormRefs
  * @property {HTMLFormElement} facetsForm - The main facets form element
  * @property {HTMLElement | undefined} facetStatus - The facet status element
+ * @property {HTMLElement | undefined} sectionRenderError - The message shown when the results fail to render
  *
  * @extends {Component<FacetsFormRefs>}
  */
 class FacetsFormComponent extends Component {
   requiredRefs = ['facetsForm'];
 
+  connectedCallback() {
+    super.connectedCallback();
+    if (this.hasError) return;
+
+    document.addEventListener(ThemeEvents.sectionRenderError, this.#handleSectionRenderError);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.sectionRenderError, this.#handleSectionRenderError);
+  }
+
+  /**
+   * Shows the error message when the filtered results fail to render
+   * @param {SectionRenderErrorEvent} event - The section render error event
+   */
+  #handleSectionRenderError = (event) => {
+    const { sectionRenderError } = this.refs;
+
+    if (!sectionRenderError || event.detail.sectionId !== normalizeSectionId(this.sectionId)) return;
+
+    sectionRenderError.hidden = false;
+  };
+
   /**
    * Creates URL parameters from form data
    * @param {FormData} [formData] - Optional form data to use instead of the main form
@@ -84,11 +111,13 @@ class FacetsFormComponent extends Component {
    */
   #updateSection() {
     const viewTransition = !this.closest('dialog');
+    // Failures are shown by the section render error event
+    const renderSection = () => sectionRenderer.renderSection(this.sectionId).catch(() => {});
 
     if (viewTransition) {
-      startViewTransition(() => sectionRenderer.renderSection(this.sectionId), ['product-grid']);
+      startViewTransition(renderSection, ['product-grid']);
     } else {
-      sectionRenderer.renderSection(this.sectionId);
+      renderSection();
     }
   }
 
@@ -180,7 +209,8 @@ class FacetInputsComponent extends Component {
 
     if (inputElement.checked) url.searchParams.delete(inputElement.name, inputElement.value);
 
-    sectionRenderer.getSectionHTML(this.sectionId, true, url);
+    // A failed prefetch is retried when the page is requested, so it isn't reported
+    sectionRenderer.getSectionHTML(this.sectionId, true, url, [], false).catch(() => {});
   }, 200);
 
   cancelPrefetchPage = () => this.prefetchPage.cancel();
@@ -218,6 +248,7 @@ if (!customElements.get('facet-inputs-component')) {
 class PriceFacetComponent extends Component {
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
     this.addEventListener('keydown', this.#onKeyDown);
   }
 
@@ -308,6 +339,7 @@ class FacetClearComponent extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
     this.addEventListener('keyup', this.#handleKeyUp);
     document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
   }
@@ -391,6 +423,7 @@ if (!customElements.get('facet-clear-component')) {
 class FacetRemoveComponent extends Component {
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
     document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
   }
 
@@ -784,64 +817,7 @@ class FacetStatusComponent extends Component {
     const template = this.refs.moneyFormat.content.textContent || '{{amount}}';
     const currency = this.refs.facetStatus.dataset.currency || '';
 
-    return template.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
-      if (typeof placeholder !== 'string') return '';
-      if (placeholder === 'currency') return currency;
-
-      let thousandsSeparator = ',';
-      let decimalSeparator = '.';
-      let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
-
-      if (placeholder === 'amount') {
-        // Check first since it's the most common, use defaults.
-      } else if (placeholder === 'amount_no_decimals') {
-        precision = 0;
-      } else if (placeholder === 'amount_with_comma_separator') {
-        thousandsSeparator = '.';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
-        // Weirdly, this is correct. It uses amount_with_comma_separator's
-        // behaviour but removes decimals, resulting in an unintuitive
-        // output that can't possibly include commas, despite the name.
-        thousandsSeparator = '.';
-        precision = 0;
-      } else if (placeholder === 'amount_no_decimals_with_space_separator') {
-        thousandsSeparator = ' ';
-        precision = 0;
-      } else if (placeholder === 'amount_with_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_with_period_and_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = '.';
-      } else if (placeholder === 'amount_with_apostrophe_separator') {
-        thousandsSeparator = "'";
-        decimalSeparator = '.';
-      }
-
-      return this.#formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision);
-    });
-  }
-
-  /**
-   * Formats money in cents
-   * @param {number} moneyValue - The money value in cents (hundredths of one major currency unit)
-   * @param {string} thousandsSeparator - The thousands separator
-   * @param {string} decimalSeparator - The decimal separator
-   * @param {number} precision - The precision
-   * @returns {string} The formatted money value
-   */
-  #formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision) {
-    const roundedNumber = (moneyValue / 100).toFixed(precision);
-
-    let [a, b] = roundedNumber.split('.');
-    if (!a) a = '0';
-    if (!b) b = '';
-
-    // Split by groups of 3 digits
-    a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
-
-    return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+    return formatCents(moneyValue, template, currency);
   }
 
   /**
@@ -855,56 +831,3 @@ class FacetStatusComponent extends Component {
 if (!customElements.get('facet-status-component')) {
   customElements.define('facet-status-component', FacetStatusComponent);
 }
-
-/**
- * Default currency decimals used in most currenies
- * @constant {number}
- */
-const DEFAULT_CURRENCY_DECIMALS = 2;
-
-/**
- * Decimal precision for currencies that have a non-default precision
- * @type {Record<string, number>}
- */
-const CURRENCY_DECIMALS = {
-  BHD: 3,
-  BIF: 0,
-  BYR: 0,
-  CLF: 4,
-  CLP: 0,
-  DJF: 0,
-  GNF: 0,
-  IQD: 3,
-  ISK: 0,
-  JOD: 3,
-  JPY: 0,
-  KMF: 0,
-  KRW: 0,
-  KWD: 3,
-  LYD: 3,
-  MRO: 5,
-  OMR: 3,
-  PYG: 0,
-  RWF: 0,
-  TND: 3,
-  UGX: 0,
-  UYI: 0,
-  UYW: 4,
-  VND: 0,
-  VUV: 0,
-  XAF: 0,
-  XAG: 0,
-  XAU: 0,
-  XBA: 0,
-  XBB: 0,
-  XBC: 0,
-  XBD: 0,
-  XDR: 0,
-  XOF: 0,
-  XPD: 0,
-  XPF: 0,
-  XPT: 0,
-  XSU: 0,
-  XTS: 0,
-  XUA: 0,
-};
@@ -0,0 +1,86 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { formatCents } from '@theme/money';
+
+/** @typedef {import('./events').CartUpdateEvent} CartUpdateEvent */
+/** @typedef {import('./events').DiscountUpdateEvent} DiscountUpdateEvent */
+
+/**
+ * A custom element that shows how far the cart is from free shipping.
+ *
+ * @typedef {object} State
+ * @property {string} [message] - The remaining amount, or the success message.
+ * @property {string} [announcement] - The message announced to screen readers when the threshold is crossed.
+ * @property {boolean} [qualified] - Whether the cart qualifies for free shipping.
+ *
+ * @extends {Component<{}, State>}
+ */
+class FreeShippingProgress extends Component {
+  connectedCallback() {
+    super.connectedCallback();
+    if (this.hasError) return;
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+
+    this.#update(Number(this.dataset.cartTotal ?? 0), false);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+    if (this.hasError) return;
+
+    // The morph resets the progress to the server markup
+    this.#update(Number(this.dataset.cartTotal ?? 0), false);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.removeEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+  }
+
+  /**
+   * @param {CartUpdateEvent | DiscountUpdateEvent} event - The cart or discount update event.
+   */
+  #handleCartUpdate = (event) => {
+    const cart = /** @type {{ total_price?: unknown } | undefined} */ (event.detail.resource);
+
+    if (typeof cart?.total_price === 'number') this.#update(cart.total_price, true);
+  };
+
+  /**
+   * The threshold in the presentment currency, in cents
+   * @returns {number}
+   */
+  get threshold() {
+    const rate = Number(window.Shopify?.currency?.rate ?? 1) || 1;
+
+    return Math.round(Number(this.dataset.threshold ?? 0) * 100 * rate);
+  }
+
+  /**
+   * @param {number} total - The cart total, in cents.
+   * @param {boolean} announce - Whether to announce crossing the threshold.
+   */
+  #update(total, announce) {
+    const { threshold } = this;
+    const remaining = Math.max(0, threshold - total);
+    const qualified = remaining === 0;
+    const progress = threshold ? Math.min(100, (total / threshold) * 100) : 100;
+    const message = qualified
+      ? Theme.translations.free_shipping_unlocked
+      : Theme.translations.free_shipping_remaining?.replace('[amount]', formatCents(remaining));
+
+    if (announce && qualified !== this.state.qualified) this.state.announcement = message;
+
+    this.state.qualified = qualified;
+    this.state.message = message ?? '';
+    this.style.setProperty('--free-shipping-progress', `${progress}%`);
+  }
+}
+
+if (!customElements.get('free-shipping-progress')) {
+  customElements.define('free-shipping-progress', FreeShippingProgress);
+}
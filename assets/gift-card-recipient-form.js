@@ -59,6 +59,7 @@ class GiftCardRecipientForm extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
     this.#initializeForm();
 
     this.#updateCharacterCountBound = () => this.#updateCharacterCount();
@@ -25,6 +25,7 @@ declare global {
       cart_add_url: string;
       cart_change_url: string;
       cart_update_url: string;
+      cart_clear_url: string;
       cart_url: string;
       predictive_search_url: string;
       search_url: string;
@@ -37,6 +38,12 @@ declare global {
     template: {
       name: string;
     };
+    money: {
+      format: string;
+      with_currency_format: string;
+      currency: string;
+    };
+    cart: typeof import('./cart-store').cartStore;
   }
 
   interface Window {
@@ -15,6 +15,7 @@ class HeaderDrawer extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     this.addEventListener('keyup', this.#onKeyUp);
     this.#setupAnimatedElementListeners();
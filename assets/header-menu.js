@@ -27,6 +27,7 @@ class HeaderMenu extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     this.overflowMenu?.addEventListener('pointerleave', () => this.#debouncedDeactivate(), {
       signal: this.#abortController.signal,
@@ -183,6 +183,7 @@ class HeaderComponent extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
     this.#resizeObserver.observe(this);
     this.addEventListener('overflowMinimum', this.#handleOverflowMinimum);
 
@@ -8,6 +8,7 @@ class LocalPickup extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     const closestSection = this.closest(`.shopify-section, dialog`);
 
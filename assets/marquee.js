@@ -19,6 +19,7 @@ class MarqueeComponent extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     const { content } = this.refs;
     if (content.firstElementChild?.children.length === 0) return;
@@ -14,6 +14,7 @@ import { ThemeEvents, VariantUpdateEvent, ZoomMediaSelectedEvent } from '@theme/
 export class MediaGallery extends Component {
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     const { signal } = this.#controller;
     const target = this.closest('.shopify-section, dialog');
@@ -33,14 +34,21 @@ export class MediaGallery extends Component {
   }
 
   /**
-   * Handles a variant update event by replacing the current media gallery with a new one.
+   * Handles a variant update event by replacing the current media gallery with a new one, or by showing the media of
+   * the variant when it was resolved without rendering the section.
    *
    * @param {VariantUpdateEvent} event - The variant update event.
    */
   #handleVariantUpdate = (event) => {
     const source = event.detail.data.html;
 
-    if (!source) return;
+    if (!source) {
+      const mediaId = event.detail.resource?.featured_media?.id;
+
+      if (mediaId) this.slideshow?.select({ id: String(mediaId) });
+      return;
+    }
+
     const newMediaGallery = source.querySelector('media-gallery');
 
     if (!newMediaGallery) return;
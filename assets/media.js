@@ -18,6 +18,7 @@ class DeferredMedia extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
     const signal = this.#abortController.signal;
     // If we're to use deferred media for images, we will need to run this only when it's not an image type media
     document.addEventListener(ThemeEvents.mediaStartedPlaying, this.pauseMedia.bind(this), { signal });
@@ -1,4 +1,5 @@
 import { Component } from '@theme/component';
+import { prefersReducedMotion, viewTransition } from '@theme/utilities';
 
 /**
  * @typedef {Object} Options
@@ -75,6 +76,8 @@ const MORPH_OPTIONS = {
       if (oldNode instanceof HTMLElement && newNode instanceof HTMLElement && oldNode.style.viewTransitionName) {
         newNode.style.viewTransitionName = oldNode.style.viewTransitionName;
       }
+
+      preserveState(oldNode, newNode);
     }
   },
   onAfterUpdate(node) {
@@ -84,6 +87,187 @@ const MORPH_OPTIONS = {
   },
 };
 
+/**
+ * The attribute listing the live UI state an element and its descendants keep across morphs
+ * @example <div data-morph-preserve="value open scroll focus media content">
+ */
+const PRESERVE_ATTRIBUTE = 'data-morph-preserve';
+
+/**
+ * The kinds of state that can be preserved:
+ * - `value`: the value, checked and selected state of form controls
+ * - `open`: the open state of details, dialogs and other elements with an `open` attribute
+ * - `scroll`: the scroll offsets of the element
+ * - `focus`: the focused element and its text selection
+ * - `media`: the playback position and state of videos and audio
+ * - `content`: the children of the element, for content rendered on the client
+ * @typedef {'value' | 'open' | 'scroll' | 'focus' | 'media' | 'content'} PreservedState
+ */
+
+/**
+ * Checks if an element, or one of its ancestors, asks to keep a kind of state across morphs
+ * @param {Element} element - The element to check
+ * @param {PreservedState} state - The kind of state
+ * @returns {boolean} True if the state should be preserved
+ */
+function shouldPreserve(element, state) {
+  return element.closest(`[${PRESERVE_ATTRIBUTE}~="${state}"]`) !== null;
+}
+
+/**
+ * Carries the live UI state requested with `data-morph-preserve` over to the new node
+ * @param {Element} oldNode - The existing element
+ * @param {Element} newNode - The element it's being morphed into
+ */
+function preserveState(oldNode, newNode) {
+  if (
+    (oldNode instanceof HTMLInputElement ||
+      oldNode instanceof HTMLTextAreaElement ||
+      oldNode instanceof HTMLSelectElement) &&
+    shouldPreserve(oldNode, 'value')
+  ) {
+    preserveValue(oldNode, newNode);
+  }
+
+  if (oldNode.hasAttribute('open') !== newNode.hasAttribute('open') && shouldPreserve(oldNode, 'open')) {
+    newNode.toggleAttribute('open', oldNode.hasAttribute('open'));
+  }
+
+  const states = oldNode.getAttribute(PRESERVE_ATTRIBUTE)?.split(/\s+/) ?? [];
+
+  if (states.includes('scroll')) preserveScroll(oldNode);
+  if (states.includes('focus')) preserveFocus(oldNode);
+  if (states.includes('media')) preserveMedia(oldNode);
+
+  // Morphing into copies of the existing children leaves them untouched
+  if (states.includes('content')) {
+    newNode.replaceChildren(...Array.from(oldNode.childNodes, (node) => node.cloneNode(true)));
+  }
+}
+
+/**
+ * Keeps what the user entered or selected in a form control
+ * @param {HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement} oldNode - The existing form control
+ * @param {Element} newNode - The element it's being morphed into
+ */
+function preserveValue(oldNode, newNode) {
+  if (oldNode instanceof HTMLSelectElement && newNode instanceof HTMLSelectElement) {
+    const selectedValues = new Set(Array.from(oldNode.selectedOptions, (option) => option.value));
+    const options = Array.from(newNode.options);
+
+    // Select first so that deselecting doesn't make a single select fall back to its first option
+    for (const option of options) if (selectedValues.has(option.value)) option.selected = true;
+    for (const option of options) if (!selectedValues.has(option.value)) option.selected = false;
+    for (const option of options) option.toggleAttribute('selected', option.selected);
+  } else if (oldNode instanceof HTMLTextAreaElement && newNode instanceof HTMLTextAreaElement) {
+    newNode.value = oldNode.value;
+  } else if (oldNode instanceof HTMLInputElement && newNode instanceof HTMLInputElement) {
+    if (oldNode.type === 'checkbox' || oldNode.type === 'radio') {
+      newNode.checked = oldNode.checked;
+      newNode.toggleAttribute('checked', oldNode.checked);
+    } else if (oldNode.type !== 'file') {
+      newNode.value = oldNode.value;
+      newNode.setAttribute('value', oldNode.value);
+    }
+  }
+}
+
+/**
+ * Restores the scroll offsets of an element once the morph is done
+ * @param {Element} element - The scroll container
+ */
+function preserveScroll(element) {
+  const { scrollTop, scrollLeft } = element;
+
+  if (!scrollTop && !scrollLeft) return;
+
+  queueMicrotask(() => element.scrollTo({ top: scrollTop, left: scrollLeft, behavior: 'instant' }));
+}
+
+/**
+ * Restores the focus and text selection within an element once the morph is done
+ * @param {Element} element - The element containing the focused element
+ */
+function preserveFocus(element) {
+  const { activeElement } = document;
+
+  if (!(activeElement instanceof HTMLElement) || !element.contains(activeElement)) return;
+
+  const selection =
+    activeElement instanceof HTMLInputElement || activeElement instanceof HTMLTextAreaElement
+      ? {
+          start: activeElement.selectionStart,
+          end: activeElement.selectionEnd,
+          direction: activeElement.selectionDirection ?? undefined,
+        }
+      : null;
+
+  queueMicrotask(() => {
+    // The focused element may have been replaced, in which case look for its replacement by id
+    const target =
+      activeElement.isConnected && element.contains(activeElement)
+        ? activeElement
+        : activeElement.id && element.querySelector(`#${CSS.escape(activeElement.id)}`);
+
+    if (!(target instanceof HTMLElement)) return;
+
+    if (document.activeElement !== target) target.focus({ preventScroll: true });
+
+    if (!(target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement)) return;
+    if (selection?.start == null || selection.end == null) return;
+
+    try {
+      target.setSelectionRange(selection.start, selection.end, selection.direction);
+    } catch (error) {
+      // Some input types, like `number` or `email`, don't support selection
+    }
+  });
+}
+
+/**
+ * Restores the playback of media elements within an element that were replaced during the morph
+ * @param {Element} element - The media element or the element containing it
+ */
+function preserveMedia(element) {
+  const playbackStates = getMediaElements(element)
+    .filter((media) => media.currentTime > 0)
+    .map((media) => ({ media, source: getMediaSource(media), currentTime: media.currentTime, paused: media.paused }));
+
+  if (!playbackStates.length) return;
+
+  queueMicrotask(() => {
+    for (const media of getMediaElements(element)) {
+      const state = playbackStates.find(({ source }) => source === getMediaSource(media));
+
+      // Media elements that were morphed in place keep playing on their own
+      if (!state || state.media === media) continue;
+
+      media.currentTime = state.currentTime;
+      if (!state.paused) media.play().catch(() => {});
+    }
+  });
+}
+
+/**
+ * Gets the media elements within an element, including the element itself
+ * @param {Element} element - The element
+ * @returns {HTMLMediaElement[]} The media elements
+ */
+function getMediaElements(element) {
+  if (element instanceof HTMLMediaElement) return [element];
+
+  return Array.from(element.querySelectorAll('video, audio'));
+}
+
+/**
+ * Gets the source of a media element, whether it's loaded yet or not
+ * @param {HTMLMediaElement} media - The media element
+ * @returns {string} The source URL
+ */
+function getMediaSource(media) {
+  return media.currentSrc || media.src || media.querySelector('source')?.src || '';
+}
+
 /**
  * Morphs one DOM tree into another by comparing nodes and applying minimal changes
  * @param {Node} oldTree - The existing DOM tree
@@ -220,7 +404,43 @@ function updateNode(newNode, oldNode, options) {
  * @returns {string|number|undefined} The node's key if one exists
  */
 function getNodeKey(node, options) {
-  return options?.getNodeKey?.(node) ?? (node instanceof Element ? node.id : undefined);
+  return options?.getNodeKey?.(node) ?? getMorphKey(node) ?? (node instanceof Element ? node.id : undefined);
+}
+
+/**
+ * Gets the explicit key of a node, set with the `data-morph-key` attribute
+ * Keyed siblings are matched by identity: they are moved instead of patched in place, and removed when their key is gone
+ * @param {Node | undefined} node - The node to get the key from
+ * @returns {string | undefined} The node's morph key if one exists
+ */
+function getMorphKey(node) {
+  return (node instanceof Element && node.getAttribute('data-morph-key')) || undefined;
+}
+
+/**
+ * Moves a node before a reference node, keeping its focus, animations and media state where the browser supports it
+ * @param {Node} parent - The parent node
+ * @param {Node} node - The node to move
+ * @param {Node | null} referenceNode - The node to move it before
+ */
+function moveBefore(parent, node, referenceNode) {
+  const moveable = /** @type {Node & { moveBefore?: (node: Node, child: Node | null) => void }} */ (parent);
+
+  if (typeof moveable.moveBefore === 'function') {
+    try {
+      moveable.moveBefore(node, referenceNode);
+      return;
+    } catch (error) {
+      // Fall back to `insertBefore`, e.g. when the nodes are not connected to the document
+    }
+  }
+
+  const { activeElement } = document;
+  const hadFocus = activeElement instanceof HTMLElement && node.contains(activeElement);
+
+  parent.insertBefore(node, referenceNode);
+
+  if (hadFocus) activeElement.focus({ preventScroll: true });
 }
 
 /**
@@ -372,9 +592,43 @@ function updateChildren(newNode, oldNode, options) {
     return;
   }
 
-  let oldChild, newChild, morphed, oldMatch;
+  let oldChild, newChild, morphed, oldMatch, oldKey, newKey;
   let offset = 0;
 
+  const animation = getMorphAnimation(oldNode);
+  const firstRects = animation ? measureKeyedChildren(oldNode) : new Map();
+  /** @type {HTMLElement[]} */
+  const exitingChildren = [];
+
+  /** @type {Set<string>} */
+  const newKeys = new Set();
+  /** @type {Map<string, ChildNode>} */
+  const oldKeyedChildren = new Map();
+
+  for (const child of newNode.childNodes) {
+    const key = getMorphKey(child);
+    if (key) newKeys.add(key);
+  }
+
+  for (const child of oldNode.childNodes) {
+    const key = getMorphKey(child);
+    if (key && !oldKeyedChildren.has(key)) oldKeyedChildren.set(key, child);
+  }
+
+  /**
+   * Keeps a keyed child that is gone from the new tree in place, so it can animate out once the morph is done
+   * @param {ChildNode} child - The old child
+   * @returns {boolean} True if the child is left to animate out instead of being removed
+   */
+  const deferRemoval = (child) => {
+    const key = getMorphKey(child);
+
+    if (!animation?.exit || !(child instanceof HTMLElement) || !key || newKeys.has(key)) return false;
+    if (!exitAnimations.has(child)) exitingChildren.push(child);
+
+    return true;
+  };
+
   for (let i = 0; ; i++) {
     oldChild = oldNode.childNodes[i];
     newChild = newNode.childNodes[i - offset];
@@ -386,6 +640,11 @@ function updateChildren(newNode, oldNode, options) {
 
     // There is no new child, remove old
     if (!newChild) {
+      if (oldChild && deferRemoval(oldChild)) {
+        offset++;
+        continue;
+      }
+
       oldChild && oldNode.removeChild(oldChild);
       i--;
       continue;
@@ -398,6 +657,42 @@ function updateChildren(newNode, oldNode, options) {
       continue;
     }
 
+    // The old keyed child is gone from the new tree, remove it rather than moving its siblings around it
+    oldKey = getMorphKey(oldChild);
+    if (oldKey && !newKeys.has(oldKey)) {
+      if (deferRemoval(oldChild)) {
+        offset++;
+        continue;
+      }
+
+      oldNode.removeChild(oldChild);
+      i--;
+      continue;
+    }
+
+    // The new child is keyed, morph the old child with the same key or insert it if there is none
+    newKey = getMorphKey(newChild);
+    if (newKey) {
+      oldMatch = oldKeyedChildren.get(newKey);
+      oldKeyedChildren.delete(newKey);
+
+      if (!oldMatch) {
+        oldNode.insertBefore(newChild, oldChild);
+        offset++;
+        continue;
+      }
+
+      cancelExit(oldMatch);
+      if (oldMatch !== oldChild) moveBefore(oldNode, oldMatch, oldChild);
+
+      morphed = walk(newChild, oldMatch, options);
+      if (morphed !== oldMatch) {
+        oldNode.replaceChild(morphed, oldMatch);
+        offset++;
+      }
+      continue;
+    }
+
     // Both nodes are the same, morph
     if (same(newChild, oldChild, options)) {
       morphed = walk(newChild, oldChild, options);
@@ -442,6 +737,173 @@ function updateChildren(newNode, oldNode, options) {
       offset++;
     }
   }
+
+  if (animation) animateKeyedChildren(oldNode, animation, firstRects, exitingChildren);
+}
+
+/**
+ * The attribute that animates the keyed children of a container when they move, enter or exit during a morph.
+ * Lists the transitions to animate, or all of them when empty.
+ * @example <ul data-morph-animate="move exit">
+ */
+const ANIMATE_ATTRIBUTE = 'data-morph-animate';
+
+/**
+ * @typedef {Object} MorphAnimation
+ * @property {boolean} move - Slide moved children from their previous position
+ * @property {boolean} enter - Fade in new children
+ * @property {boolean} exit - Fade out removed children before removing them
+ * @property {number} duration - The duration of the animations in milliseconds
+ * @property {string} easing - The easing of the animations
+ */
+
+/**
+ * The running exit animations, by element
+ * @type {WeakMap<Element, { animation: Animation, style: string | null }>}
+ */
+const exitAnimations = new WeakMap();
+
+/**
+ * Gets the animations requested for the children of a container
+ * @param {Node} node - The container
+ * @returns {MorphAnimation | null} The animations, or null if the children shouldn't be animated
+ */
+function getMorphAnimation(node) {
+  if (!(node instanceof HTMLElement) || !node.isConnected || !node.hasAttribute(ANIMATE_ATTRIBUTE)) return null;
+
+  // View transitions already animate the update
+  if (prefersReducedMotion() || viewTransition.current) return null;
+
+  const types = node.getAttribute(ANIMATE_ATTRIBUTE)?.split(/\s+/).filter(Boolean) ?? [];
+  const style = getComputedStyle(node);
+  const speed = style.getPropertyValue('--animation-speed').trim();
+  const speedInMilliseconds = speed.endsWith('ms') ? parseFloat(speed) : parseFloat(speed) * 1000;
+
+  return {
+    move: !types.length || types.includes('move'),
+    enter: !types.length || types.includes('enter'),
+    exit: !types.length || types.includes('exit'),
+    duration: speedInMilliseconds * 2 || 250,
+    easing: style.getPropertyValue('--animation-easing').trim() || 'ease-in-out',
+  };
+}
+
+/**
+ * Measures the keyed children of a container before it's morphed
+ * @param {Node} node - The container
+ * @returns {Map<Element, DOMRect>} The boxes of the keyed children
+ */
+function measureKeyedChildren(node) {
+  const rects = new Map();
+
+  for (const child of node.childNodes) {
+    if (child instanceof HTMLElement && getMorphKey(child)) rects.set(child, child.getBoundingClientRect());
+  }
+
+  return rects;
+}
+
+/**
+ * Animates the keyed children of a morphed container from their previous boxes (FLIP)
+ * @param {Node} container - The container
+ * @param {MorphAnimation} animation - The animations to run
+ * @param {Map<Element, DOMRect>} firstRects - The boxes of the keyed children before the morph
+ * @param {HTMLElement[]} exitingChildren - The removed children to animate out
+ */
+function animateKeyedChildren(container, animation, firstRects, exitingChildren) {
+  const { duration, easing } = animation;
+
+  // Take exiting children out of the flow first, so their siblings are measured in their final position
+  for (const child of exitingChildren) {
+    const rect = firstRects.get(child);
+
+    if (!rect) {
+      child.remove();
+      continue;
+    }
+
+    exitAnimations.set(child, { animation: new Animation(), style: child.getAttribute('style') });
+
+    child.inert = true;
+    child.setAttribute('aria-hidden', 'true');
+    child.style.position = 'absolute';
+    child.style.width = `${rect.width}px`;
+    child.style.height = `${rect.height}px`;
+    child.style.margin = '0';
+    child.style.pointerEvents = 'none';
+
+    // Exiting children shouldn't be picked up as refs by their component anymore
+    for (const element of [child, ...child.querySelectorAll('[ref]')]) element.removeAttribute('ref');
+  }
+
+  for (const child of container.childNodes) {
+    if (!(child instanceof HTMLElement) || !getMorphKey(child)) continue;
+
+    const first = firstRects.get(child);
+    const last = child.getBoundingClientRect();
+
+    if (exitingChildren.includes(child) && first) {
+      const transform = `translate(${first.left - last.left}px, ${first.top - last.top}px)`;
+      const exit = child.animate(
+        [
+          { transform, opacity: 1 },
+          { transform, opacity: 0 },
+        ],
+        { duration, easing, fill: 'forwards' }
+      );
+      const exitAnimation = exitAnimations.get(child);
+
+      if (exitAnimation) exitAnimation.animation = exit;
+
+      exit.finished
+        .then(() => {
+          // The key may have come back while the child was animating out
+          if (exitAnimations.get(child)?.animation !== exit) return;
+
+          exitAnimations.delete(child);
+          child.remove();
+        })
+        .catch(() => {});
+    } else if (exitAnimations.has(child)) {
+      // Still animating out from a previous morph
+      continue;
+    } else if (!first) {
+      if (animation.enter) child.animate([{ opacity: 0 }, { opacity: 1 }], { duration, easing });
+    } else if (animation.move) {
+      const deltaX = first.left - last.left;
+      const deltaY = first.top - last.top;
+
+      if (deltaX || deltaY) {
+        child.animate([{ transform: `translate(${deltaX}px, ${deltaY}px)` }, { transform: 'none' }], {
+          duration,
+          easing,
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Stops the exit animation of a child whose key came back, and puts it back into the flow
+ * @param {Node} node - The child
+ */
+function cancelExit(node) {
+  if (!(node instanceof HTMLElement)) return;
+
+  const exitAnimation = exitAnimations.get(node);
+  if (!exitAnimation) return;
+
+  exitAnimations.delete(node);
+  exitAnimation.animation.cancel();
+
+  node.inert = false;
+  node.removeAttribute('aria-hidden');
+
+  if (exitAnimation.style == null) {
+    node.removeAttribute('style');
+  } else {
+    node.setAttribute('style', exitAnimation.style);
+  }
 }
 
 /**
@@ -463,6 +925,9 @@ function same(a, b, options) {
     const aKey = getNodeKey(a, options);
     const bKey = getNodeKey(b, options);
     if (aKey && bKey && aKey !== bKey) return false;
+
+    // Keyed nodes are only ever matched by their key
+    if (!getMorphKey(a) !== !getMorphKey(b)) return false;
   }
 
   // For text/comment nodes, compare content
@@ -35,6 +35,7 @@ export default class PaginatedList extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     /** @type {HTMLElement | null} */
     const templateCard = this.querySelector('[ref="cardGallery"]');
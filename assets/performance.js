@@ -57,3 +57,4 @@ class ThemePerformance {
 }
 
 export const cartPerformance = new ThemePerformance('cart-performance');
+export const sectionPerformance = new ThemePerformance('section-renderer');
@@ -1,9 +1,10 @@
 import { Component } from '@theme/component';
 import { debounce, onAnimationEnd, prefersReducedMotion, onDocumentLoaded } from '@theme/utilities';
-import { sectionRenderer } from '@theme/section-renderer';
+import { normalizeSectionId, sectionRenderer } from '@theme/section-renderer';
 import { morph } from '@theme/morph';
 import { RecentlyViewed } from '@theme/recently-viewed-products';
 import { DialogCloseEvent, DialogComponent } from '@theme/dialog';
+import { SectionRenderErrorEvent, ThemeEvents } from '@theme/events';
 
 /**
  * A custom element that allows the user to search for resources available on the store.
@@ -16,6 +17,7 @@ import { DialogCloseEvent, DialogComponent } from '@theme/dialog';
  * @property {HTMLElement} [recentlyViewedWrapper] - The recently viewed products wrapper.
  * @property {HTMLElement[]} [recentlyViewedTitle] - The recently viewed title elements.
  * @property {HTMLElement[]} [recentlyViewedItems] - The recently viewed product items.
+ * @property {HTMLElement} [sectionRenderError] - The message shown when the results fail to render.
  * @extends {Component<Refs>}
  */
 class PredictiveSearchComponent extends Component {
@@ -38,6 +40,7 @@ class PredictiveSearchComponent extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     const { dialog } = this;
     const { signal } = this.#controller;
@@ -46,6 +49,8 @@ class PredictiveSearchComponent extends Component {
       this.#showResetButton();
     }
 
+    document.addEventListener(ThemeEvents.sectionRenderError, this.#handleSectionRenderError, { signal });
+
     if (dialog) {
       document.addEventListener('keydown', this.#handleKeyboardShortcut, { signal });
       dialog.addEventListener(DialogCloseEvent.eventName, this.#handleDialogClose, { signal });
@@ -58,6 +63,19 @@ class PredictiveSearchComponent extends Component {
     });
   }
 
+  /**
+   * Shows the error message when the search results fail to render
+   * @param {SectionRenderErrorEvent} event - The section render error event
+   */
+  #handleSectionRenderError = (event) => {
+    const { sectionRenderError } = this.refs;
+    const { sectionId } = this.dataset;
+
+    if (!sectionRenderError || !sectionId || event.detail.sectionId !== normalizeSectionId(sectionId)) return;
+
+    sectionRenderError.hidden = false;
+  };
+
   /**
    * Handles clicks within the predictive search modal to maintain focus on the input
    * @param {MouseEvent} event - The mouse event
@@ -315,6 +333,8 @@ class PredictiveSearchComponent extends Component {
 
         if (abortController.signal.aborted) return;
 
+        if (this.refs.sectionRenderError) this.refs.sectionRenderError.hidden = true;
+
         morph(predictiveSearchResults, resultsMarkup);
 
         this.#resetScrollPositions();
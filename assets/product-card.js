@@ -68,6 +68,7 @@ export class ProductCard extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     const link = this.refs.productCardLink;
     if (!(link instanceof HTMLAnchorElement)) throw new Error('Product card link not found');
@@ -136,7 +137,7 @@ export class ProductCard extends Component {
     this.#updateProductUrl(event);
     this.refs.quickAdd?.fetchProductPage(this.productPageUrl);
 
-    if (event.target !== this.variantPicker) {
+    if (event.target !== this.variantPicker && event.detail.data.html) {
       this.variantPicker?.updateVariantPicker(event.detail.data.html);
     }
 
@@ -179,7 +180,7 @@ export class ProductCard extends Component {
    */
   updatePrice(event) {
     const priceContainer = this.querySelectorAll(`product-price [ref='priceContainer']`)[1];
-    const newPriceElement = event.detail.data.html.querySelector(`product-price [ref='priceContainer']`);
+    const newPriceElement = event.detail.data.html?.querySelector(`product-price [ref='priceContainer']`);
 
     if (newPriceElement && priceContainer) {
       morph(priceContainer, newPriceElement);
@@ -222,9 +223,11 @@ export class ProductCard extends Component {
    * @param {VariantUpdateEvent} event - The variant update event.
    */
   #isUnavailableVariantSelected(event) {
-    const allVariants = /** @type {NodeListOf<HTMLInputElement>} */ (
-      event.detail.data.html.querySelectorAll('input:checked')
-    );
+    const { html } = event.detail.data;
+
+    if (!html) return;
+
+    const allVariants = /** @type {NodeListOf<HTMLInputElement>} */ (html.querySelectorAll('input:checked'));
 
     for (const variant of allVariants) {
       this.#toggleAddToCartButton(variant.dataset.optionAvailable === 'true');
@@ -449,6 +452,7 @@ if (!customElements.get('product-card')) {
 class SwatchesVariantPickerComponent extends VariantPicker {
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     // Cache the parent product card
     this.parentProductCard = this.closest('product-card');
@@ -1,8 +1,9 @@
 import { Component } from '@theme/component';
-import { fetchConfig, onAnimationEnd, preloadImage } from '@theme/utilities';
+import { onAnimationEnd, preloadImage } from '@theme/utilities';
 import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
+import { cartStore, CartError } from '@theme/cart-store';
 
 export const ADD_TO_CART_TEXT_ANIMATION_DURATION = 2000;
 
@@ -24,6 +25,7 @@ export class AddToCartComponent extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     this.addEventListener('pointerenter', this.#preloadImage);
   }
@@ -141,6 +143,7 @@ class ProductFormComponent extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     const { signal } = this.#abortController;
     const target = this.closest('.shopify-section, dialog, product-card');
@@ -176,101 +179,91 @@ class ProductFormComponent extends Component {
 
     const formData = new FormData(form);
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    let cartItemComponentsSectionIds = [];
-    cartItemsComponents.forEach((item) => {
+    /** @type {string[]} */
+    const cartItemComponentsSectionIds = [];
+    document.querySelectorAll('cart-items-component').forEach((item) => {
       if (item instanceof HTMLElement && item.dataset.sectionId) {
         cartItemComponentsSectionIds.push(item.dataset.sectionId);
       }
-      formData.append('sections', cartItemComponentsSectionIds.join(','));
     });
 
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
-      .then((response) => {
-        if (response.status) {
-          this.dispatchEvent(
-            new CartErrorEvent(form.getAttribute('id') || '', response.message, response.description, response.errors)
-          );
+    cartStore
+      .add(formData, { sections: cartItemComponentsSectionIds })
+      .then(({ cart, sections }) => {
+        const id = formData.get('id');
 
-          if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
+        if (addToCartTextError) {
+          addToCartTextError.classList.add('hidden');
+          addToCartTextError.removeAttribute('aria-live');
+        }
 
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
+        if (!id) throw new Error('Form ID is required');
 
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
+        // Add aria-live region to inform screen readers that the item was added
+        if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
+          const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
+          const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
+          const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
 
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
+          this.#setLiveRegionText(addedText);
 
-            // Clear the announcement
+          setTimeout(() => {
             this.#clearLiveRegionText();
-          }, 10000);
-
-          // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
-          // because our back-end still adds the max allowed amount to the cart.
-          this.dispatchEvent(
-            new CartAddEvent({}, this.id, {
-              didError: true,
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-            })
-          );
+          }, 5000);
+        }
 
+        this.dispatchEvent(
+          new CartAddEvent(cart, id.toString(), {
+            source: 'product-form-component',
+            itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
+            productId: this.dataset.productId,
+            sections,
+          })
+        );
+      })
+      .catch((error) => {
+        if (!(error instanceof CartError)) {
+          console.error(error);
           return;
+        }
+
+        this.dispatchEvent(
+          new CartErrorEvent(form.getAttribute('id') || '', error.message, error.description ?? '', error.errors ?? {})
+        );
+
+        // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
+        // because our back-end still adds the max allowed amount to the cart.
+        this.dispatchEvent(
+          new CartAddEvent({}, this.id, {
+            didError: true,
+            source: 'product-form-component',
+            itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
+            productId: this.dataset.productId,
+          })
+        );
+
+        if (!addToCartTextError) return;
+        addToCartTextError.classList.remove('hidden');
+
+        // Reuse the text node if the user is spam-clicking
+        const textNode = addToCartTextError.childNodes[2];
+        if (textNode) {
+          textNode.textContent = error.message;
         } else {
-          const id = formData.get('id');
-
-          if (addToCartTextError) {
-            addToCartTextError.classList.add('hidden');
-            addToCartTextError.removeAttribute('aria-live');
-          }
-
-          if (!id) throw new Error('Form ID is required');
-
-          // Add aria-live region to inform screen readers that the item was added
-          if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
-            const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
-            const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
-            const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
-
-            this.#setLiveRegionText(addedText);
-
-            setTimeout(() => {
-              this.#clearLiveRegionText();
-            }, 5000);
-          }
-
-          this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-              sections: response.sections,
-            })
-          );
+          const newTextNode = document.createTextNode(error.message);
+          addToCartTextError.appendChild(newTextNode);
         }
-      })
-      .catch((error) => {
-        console.error(error);
+
+        // Create or get existing error live region for screen readers
+        this.#setLiveRegionText(error.message);
+
+        this.#timeout = setTimeout(() => {
+          if (!addToCartTextError) return;
+          addToCartTextError.classList.add('hidden');
+
+          // Clear the announcement
+          this.#clearLiveRegionText();
+        }, 10000);
       })
       .finally(() => {
         // add more thing to do in here if needed.
@@ -304,7 +297,7 @@ class ProductFormComponent extends Component {
     const { variantId, addToCartButtonContainer } = this.refs;
 
     const currentAddToCartButton = addToCartButtonContainer?.refs.addToCartButton;
-    const newAddToCartButton = event.detail.data.html.querySelector('[ref="addToCartButton"]');
+    const newAddToCartButton = event.detail.data.html?.querySelector('[ref="addToCartButton"]');
 
     if (!currentAddToCartButton) return;
 
@@ -320,10 +313,12 @@ class ProductFormComponent extends Component {
     // Update the add to cart button text and icon
     if (newAddToCartButton) {
       morph(currentAddToCartButton, newAddToCartButton);
+    } else if (!event.detail.data.html) {
+      this.#updateAddToCartText(currentAddToCartButton, event.detail.resource);
     }
 
     // Update the variant ID
-    variantId.value = event.detail.resource.id ?? '';
+    variantId.value = event.detail.resource?.id ?? '';
 
     // Set the data attribute for the add to cart button to the product variant media if it exists
     if (event.detail.resource) {
@@ -333,6 +328,24 @@ class ProductFormComponent extends Component {
     }
   };
 
+  /**
+   * Updates the add to cart button text and icon when the variant was resolved without rendering the section.
+   * @param {HTMLButtonElement} addToCartButton - The add to cart button.
+   * @param {VariantUpdateEvent['detail']['resource']} variant - The variant, or null if none matches the options.
+   */
+  #updateAddToCartText(addToCartButton, variant) {
+    const text = addToCartButton.querySelector('.add-to-cart-text__content');
+    const icon = addToCartButton.querySelector('.add-to-cart-icon');
+    const canAddToCart = Boolean(variant?.available);
+
+    if (text) {
+      if (!variant) text.textContent = Theme.translations.unavailable ?? '';
+      else text.textContent = (canAddToCart ? Theme.translations.add_to_cart : Theme.translations.sold_out) ?? '';
+    }
+
+    icon?.classList.toggle('hidden', !canAddToCart);
+  }
+
   /**
    * Disable the add to cart button while the UI is updating before #onVariantUpdate is called.
    * Accelerated checkout button is also disabled via its own event listener not exposed to the theme.
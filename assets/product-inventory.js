@@ -23,12 +23,54 @@ class ProductInventory extends HTMLElement {
       return;
     }
 
-    const newInventory = event.detail.data.html.querySelector('product-inventory');
+    const { html } = event.detail.data;
+
+    if (!html) {
+      this.#renderInventory(event.detail.resource);
+      return;
+    }
+
+    const newInventory = html.querySelector('product-inventory');
 
     if (!newInventory) return;
 
     morph(this, newInventory, { childrenOnly: true });
   };
+
+  /**
+   * Renders the inventory status of a variant resolved without rendering the section, like the block does.
+   * @param {VariantUpdateEvent['detail']['resource']} variant - The variant, or null if none matches the options.
+   */
+  #renderInventory(variant) {
+    const icon = this.querySelector('.product-inventory__icon');
+    const text = this.querySelector('.product-inventory__text');
+
+    if (!icon || !text) return;
+
+    const threshold = Number(this.dataset.threshold);
+    const quantity = variant?.inventory_quantity ?? 0;
+    /** @type {'in_stock' | 'low' | 'out_of_stock'} */
+    let status = variant ? 'in_stock' : 'out_of_stock';
+    let message = variant ? Theme.translations.inventory_in_stock : Theme.translations.inventory_out_of_stock;
+
+    if (variant?.inventory_management === 'shopify') {
+      if (quantity > 0 && quantity <= threshold) {
+        status = 'low';
+        message =
+          this.dataset.showQuantity === 'true'
+            ? Theme.translations.inventory_low_stock_show_count?.replace('[count]', String(quantity))
+            : Theme.translations.inventory_low_stock;
+      } else if (quantity <= 0 && variant.inventory_policy !== 'continue') {
+        status = 'out_of_stock';
+        message = Theme.translations.inventory_out_of_stock;
+      }
+    }
+
+    for (const iconStatus of ['in_stock', 'low', 'out_of_stock']) {
+      icon.classList.toggle(`product-inventory__icon-${iconStatus}`, iconStatus === status);
+    }
+    text.textContent = message ?? '';
+  }
 }
 
 if (!customElements.get('product-inventory')) {
@@ -1,4 +1,5 @@
 import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { formatCents } from '@theme/money';
 
 /**
  * A custom element that displays a product price.
@@ -31,7 +32,14 @@ class ProductPrice extends HTMLElement {
       return;
     }
 
-    const newPrice = event.detail.data.html.querySelector('product-price [ref="priceContainer"]');
+    const { html } = event.detail.data;
+
+    if (!html) {
+      if (event.detail.resource) this.#renderPrice(event.detail.resource);
+      return;
+    }
+
+    const newPrice = html.querySelector('product-price [ref="priceContainer"]');
     const currentPrice = this.querySelector('[ref="priceContainer"]');
 
     if (!newPrice || !currentPrice) return;
@@ -40,6 +48,85 @@ class ProductPrice extends HTMLElement {
       currentPrice.replaceWith(newPrice);
     }
   };
+
+  /**
+   * Renders the price of a variant resolved without rendering the section, like the `price` snippet does.
+   * @param {NonNullable<VariantUpdateEvent["detail"]["resource"]>} variant - The variant.
+   */
+  #renderPrice(variant) {
+    const priceContainer = this.querySelector('[ref="priceContainer"]');
+
+    if (!(priceContainer instanceof HTMLElement) || variant.price == null) return;
+
+    const { showSalePriceFirst, showUnitPrice, moneyWithCurrency } = priceContainer.dataset;
+    const format = moneyWithCurrency === 'true' ? Theme.money.with_currency_format : Theme.money.format;
+    const price = createElement('span', 'price', formatCents(variant.price, format));
+    /** @type {HTMLElement[]} */
+    const children = [];
+
+    if (variant.compare_at_price != null && variant.compare_at_price > variant.price) {
+      const compareAtPrice = createElement('span', 'compare-at-price', formatCents(variant.compare_at_price, format));
+      const regularPrice = createPriceGroup(Theme.translations.price_regular, compareAtPrice);
+      const salePrice = createPriceGroup(Theme.translations.price_sale, price);
+
+      children.push(...(showSalePriceFirst === 'true' ? [salePrice, regularPrice] : [regularPrice, salePrice]));
+    } else {
+      children.push(price);
+    }
+
+    const { unit_price: unitPrice, unit_price_measurement: measurement } = variant;
+
+    if (showUnitPrice === 'true' && unitPrice != null && measurement?.reference_unit) {
+      const referenceValue = measurement.reference_value === 1 ? '' : measurement.reference_value;
+      const unitPriceElement = createElement('small', 'unit-price');
+
+      unitPriceElement.append(
+        createElement('span', 'visually-hidden', Theme.translations.unit_price),
+        ` ${formatCents(unitPrice, format)}/${referenceValue}${measurement.reference_unit}`
+      );
+      children.push(unitPriceElement);
+    }
+
+    priceContainer.replaceChildren(...children);
+
+    // Keep the installments in sync with the selected variant
+    const installmentsVariantId = this.querySelector('.installments input[name="id"]');
+
+    if (installmentsVariantId instanceof HTMLInputElement) {
+      installmentsVariantId.value = String(variant.id);
+      installmentsVariantId.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  }
+}
+
+/**
+ * @param {string} tagName - The tag name of the element.
+ * @param {string} className - The class of the element.
+ * @param {string} [text] - The text of the element.
+ * @returns {HTMLElement} The element.
+ */
+function createElement(tagName, className, text = '') {
+  const element = document.createElement(tagName);
+
+  element.className = className;
+  element.textContent = text;
+
+  return element;
+}
+
+/**
+ * Groups a price with a label for screen readers.
+ * @param {string | undefined} label - The label of the price.
+ * @param {HTMLElement} price - The price.
+ * @returns {HTMLElement} The group.
+ */
+function createPriceGroup(label, price) {
+  const group = document.createElement('span');
+
+  group.setAttribute('role', 'group');
+  group.append(createElement('span', 'visually-hidden', `${label ?? ''}\u00a0`), price);
+
+  return group;
 }
 
 if (!customElements.get('product-price')) {
@@ -17,6 +17,7 @@ class ProductTitle extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
     this.#initializeTruncation();
   }
 
@@ -18,7 +18,8 @@ export class QuickAddComponent extends Component {
 
     const url = new URL(productLink.href);
 
-    if (url.searchParams.has('variant')) {
+    // The product page renders the variant of a `variant` or `option_values` query
+    if (url.searchParams.has('variant') || url.searchParams.has('option_values')) {
       return url.toString();
     }
 
@@ -41,6 +42,7 @@ export class QuickAddComponent extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     mediaQueryLarge.addEventListener('change', this.#closeQuickAddModal);
   }
@@ -187,11 +189,11 @@ export class QuickAddComponent extends Component {
   }
 
   /**
-   * Syncs the variant selection from the product card to the modal
+   * Syncs the variant selection from the product card, or the variant of its link, to the modal
    * @param {Element} modalContent - The modal content element
    */
   #syncVariantSelection(modalContent) {
-    const selectedVariantId = this.#getSelectedVariantId();
+    const selectedVariantId = this.productPageUrl ? new URL(this.productPageUrl).searchParams.get('variant') : null;
     if (!selectedVariantId) return;
 
     // Find and check the corresponding input in the modal
@@ -215,6 +217,7 @@ class QuickAddDialog extends DialogComponent {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     this.addEventListener(ThemeEvents.cartUpdate, this.handleCartUpdate, { signal: this.#abortController.signal });
     this.addEventListener(ThemeEvents.variantUpdate, this.#updateProductTitleLink);
@@ -245,6 +248,20 @@ class QuickAddDialog extends DialogComponent {
     const viewMoreDetailsLink = /** @type {HTMLAnchorElement} */ (this.querySelector('.view-product-title a'));
     const mobileProductTitle = /** @type {HTMLAnchorElement} */ (this.querySelector('.product-header a'));
 
+    // The variant was resolved without rendering the section, point the links to it
+    if (!event.detail.data.html) {
+      const variantId = event.detail.resource?.id;
+
+      for (const link of [viewMoreDetailsLink, mobileProductTitle]) {
+        if (!link || !variantId) continue;
+
+        const url = new URL(link.href);
+        url.searchParams.set('variant', String(variantId));
+        link.href = url.toString();
+      }
+      return;
+    }
+
     if (!anchorElement) return;
 
     if (viewMoreDetailsLink) viewMoreDetailsLink.href = anchorElement.href;
@@ -18,6 +18,7 @@ export class QuickViewDrawer extends DialogComponent {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
     
     // Listen for quick view button clicks
     document.addEventListener('click', this.#handleQuickViewClick);
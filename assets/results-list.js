@@ -7,6 +7,7 @@ import PaginatedList from '@theme/paginated-list';
 export default class ResultsList extends PaginatedList {
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     mediaQueryLarge.addEventListener('change', this.#handleMediaQueryChange);
     this.setAttribute('initialized', '');
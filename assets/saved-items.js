@@ -0,0 +1,326 @@
+import { Component } from '@theme/component';
+import { cartStore, CartError } from '@theme/cart-store';
+import { CartUpdateEvent, SavedItemsUpdateEvent, ThemeEvents } from '@theme/events';
+import { morph } from '@theme/morph';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * @typedef {Object} SavedItem
+ * @property {string} key - The key of the cart line the item was saved from
+ * @property {number} id - The variant ID
+ * @property {number} productId - The product ID
+ * @property {number} quantity - The quantity
+ * @property {Record<string, string>} properties - The line item properties
+ * @property {number} [sellingPlan] - The selling plan ID
+ * @property {SavedItemChild[]} [children] - The lines nested under the cart line, moved back to the cart with it
+ */
+
+/**
+ * @typedef {Object} SavedItemChild
+ * @property {number} id - The variant ID
+ * @property {number} quantity - The quantity
+ * @property {Record<string, string>} properties - The line item properties
+ * @property {number} [sellingPlan] - The selling plan ID
+ */
+
+/**
+ * The key used to store the saved items in local storage
+ * @constant {string}
+ */
+const STORAGE_KEY = 'savedCartItems';
+
+/**
+ * The cart lines saved for later, persisted in localStorage.
+ */
+export class SavedItems {
+  /** @static @constant {number} The maximum number of items to store */
+  static #MAX_ITEMS = 50;
+
+  /**
+   * Retrieves the saved items, the most recently saved first.
+   * @returns {SavedItem[]} The saved items.
+   */
+  static getItems() {
+    try {
+      const items = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+
+      return Array.isArray(items) ? items : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Saves an item, adding up the quantities when the same line was already saved.
+   * @param {SavedItem} item - The item to save.
+   * @returns {boolean} Whether the item was saved, which fails when the storage is full or disabled.
+   */
+  static addItem(item) {
+    const items = this.getItems();
+    const savedItem = items.find(({ key }) => key === item.key);
+    const quantity = item.quantity + (savedItem?.quantity ?? 0);
+    const children = [...(item.children ?? []), ...(savedItem?.children ?? [])];
+
+    return this.#setItems([{ ...item, quantity, children }, ...items.filter(({ key }) => key !== item.key)]);
+  }
+
+  /**
+   * Takes an item off the list.
+   * @param {string} key - The key of the item.
+   */
+  static removeItem(key) {
+    this.#setItems(this.getItems().filter((item) => item.key !== key));
+  }
+
+  /**
+   * @param {SavedItem[]} items - The saved items.
+   * @returns {boolean} Whether the items were stored.
+   */
+  static #setItems(items) {
+    const savedItems = items.slice(0, this.#MAX_ITEMS);
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(savedItems));
+    } catch (_) {
+      return false;
+    }
+
+    document.dispatchEvent(new SavedItemsUpdateEvent(savedItems));
+
+    return true;
+  }
+}
+
+// Items saved in other tabs
+window.addEventListener('storage', (event) => {
+  if (event.key === STORAGE_KEY) document.dispatchEvent(new SavedItemsUpdateEvent(SavedItems.getItems()));
+});
+
+/**
+ * The section rendering the variants of the saved products, with their current price and availability
+ * @constant {string}
+ */
+const SECTION_ID = 'saved-items';
+
+/**
+ * A custom element that lists the items saved for later, and moves them back to the cart.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} content - The list and its heading, hidden when nothing is saved.
+ * @property {HTMLUListElement} list - The list of saved items.
+ *
+ * @extends {Component<Refs>}
+ */
+class SavedItemsComponent extends Component {
+  requiredRefs = ['content', 'list'];
+
+  /** @type {IntersectionObserver | undefined} */
+  #intersectionObserver;
+
+  /**
+   * Whether the list is on screen
+   * @type {boolean}
+   */
+  #isVisible = false;
+
+  /**
+   * Identifies the latest request, so that responses arriving out of order are ignored
+   * @type {number}
+   */
+  #requestId = 0;
+
+  connectedCallback() {
+    super.connectedCallback();
+    if (this.hasError) return;
+
+    document.addEventListener(ThemeEvents.savedItemsUpdate, this.#render);
+
+    // Prices and availability are refreshed every time the list is shown
+    this.#intersectionObserver = new IntersectionObserver(([entry]) => {
+      this.#isVisible = Boolean(entry?.isIntersecting);
+      if (this.#isVisible) this.#refresh();
+    });
+    this.#intersectionObserver.observe(this);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.savedItemsUpdate, this.#render);
+    this.#intersectionObserver?.disconnect();
+  }
+
+  /**
+   * Adds a saved item back to the cart.
+   * @param {Event} event - The click event.
+   */
+  moveToCart(event) {
+    const row = this.#getRow(event);
+    const item = SavedItems.getItems().find(({ key }) => key === row?.dataset.savedKey);
+
+    if (!row || !item) return;
+
+    const { id, quantity, properties, sellingPlan, children = [] } = item;
+    const button = event.target instanceof HTMLButtonElement ? event.target : null;
+    const sectionIds = Array.from(
+      document.querySelectorAll('cart-items-component'),
+      (element) => (element instanceof HTMLElement && element.dataset.sectionId) || ''
+    ).filter(Boolean);
+
+    if (button) button.disabled = true;
+    this.#showError(row, '');
+
+    cartStore
+      .add(
+        {
+          items: [
+            { id, quantity, properties, selling_plan: sellingPlan },
+            ...children.map((child) => ({
+              id: child.id,
+              quantity: child.quantity,
+              properties: child.properties,
+              selling_plan: child.sellingPlan,
+              parent_id: id,
+            })),
+          ],
+        },
+        { sections: sectionIds }
+      )
+      .then(({ cart, sections }) => {
+        SavedItems.removeItem(item.key);
+
+        this.dispatchEvent(
+          new CartUpdateEvent(cart, this.id, {
+            itemCount: cart.item_count,
+            source: 'saved-items-component',
+            variantId: String(item.id),
+            sections,
+          })
+        );
+      })
+      .catch((error) => {
+        if (button) button.disabled = false;
+
+        if (error instanceof CartError) {
+          this.#showError(row, error.description ?? error.message);
+        } else {
+          console.error(error);
+        }
+      });
+  }
+
+  /**
+   * Takes a saved item off the list.
+   * @param {Event} event - The click event.
+   */
+  removeItem(event) {
+    const key = this.#getRow(event)?.dataset.savedKey;
+
+    if (key) SavedItems.removeItem(key);
+  }
+
+  /**
+   * Drops the rows of the items that aren't saved anymore, and renders the ones that are missing.
+   */
+  #render = () => {
+    const items = SavedItems.getItems();
+    const { content, list } = this.refs;
+    const keys = new Set(items.map(({ key }) => key));
+
+    for (const row of list.querySelectorAll('[data-saved-key]')) {
+      if (row instanceof HTMLElement && !keys.has(row.dataset.savedKey ?? '')) row.remove();
+    }
+
+    content.hidden = items.length === 0;
+
+    const renderedKeys = new Set(Array.from(list.querySelectorAll('[data-saved-key]'), getSavedKey));
+
+    if (items.some(({ key }) => !renderedKeys.has(key))) this.#refresh();
+  };
+
+  /**
+   * Renders the saved items with their current price and availability, once the list is on screen.
+   */
+  async #refresh() {
+    const items = SavedItems.getItems();
+
+    if (!items.length || !this.#isVisible) return;
+
+    const requestId = ++this.#requestId;
+
+    const productIds = new Set(items.map(({ productId }) => productId));
+    const url = new URL(Theme.routes.search_url, location.origin);
+    url.searchParams.set('q', Array.from(productIds, (id) => `id:${id}`).join(' OR '));
+    url.searchParams.set('resources[type]', 'product');
+
+    /** @type {string} */
+    let html;
+
+    try {
+      html = await sectionRenderer.getSectionHTML(SECTION_ID, false, url);
+    } catch (_) {
+      // The section renderer reports the error, the current list stays until the next refresh
+      return;
+    }
+
+    if (requestId !== this.#requestId) return;
+
+    const parsedHtml = new DOMParser().parseFromString(html, 'text/html');
+    const newList = /** @type {HTMLUListElement} */ (this.refs.list.cloneNode(false));
+
+    for (const item of items) {
+      const template = parsedHtml.querySelector(`[data-variant-id="${item.id}"]`);
+
+      // Products that were deleted or unpublished aren't found
+      if (!(template instanceof HTMLElement)) continue;
+
+      const row = /** @type {HTMLElement} */ (template.cloneNode(true));
+      const quantity = row.querySelector('[data-saved-quantity]');
+
+      row.dataset.savedKey = item.key;
+      row.dataset.morphKey = item.key;
+      if (quantity && item.quantity > 1) quantity.textContent = ` × ${item.quantity}`;
+
+      newList.append(row);
+    }
+
+    morph(this.refs.list, newList);
+  }
+
+  /**
+   * @param {HTMLElement} row - The row of the saved item.
+   * @param {string} message - The error message, or an empty string to hide it.
+   */
+  #showError(row, message) {
+    const error = row.querySelector('[data-saved-error]');
+
+    if (!(error instanceof HTMLElement)) return;
+
+    error.textContent = message;
+    error.hidden = !message;
+  }
+
+  /**
+   * @param {Event} event - The event.
+   * @returns {HTMLElement | null} The row of the saved item the event happened in.
+   */
+  #getRow(event) {
+    const row = event.target instanceof Element ? event.target.closest('[data-saved-key]') : null;
+
+    return row instanceof HTMLElement ? row : null;
+  }
+}
+
+/**
+ * @param {Element} row - The row of a saved item.
+ * @returns {string} The key of the saved item.
+ */
+function getSavedKey(row) {
+  return row instanceof HTMLElement ? row.dataset.savedKey ?? '' : '';
+}
+
+if (!customElements.get('saved-items-component')) {
+  customElements.define('saved-items-component', SavedItemsComponent);
+}
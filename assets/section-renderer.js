@@ -1,4 +1,102 @@
 import { morph } from '@theme/morph';
+import { ThemeEvents, SectionRenderErrorEvent } from '@theme/events';
+import { sectionPerformance } from '@theme/performance';
+
+/**
+ * The cache tag of sections rendered with cart data
+ */
+export const CART_CACHE_TAG = 'cart';
+
+/**
+ * Matches the markup of sections that render cart data
+ */
+const CART_SECTION_PATTERN = /<(cart-items-component|cart-icon|cart-drawer-component|cart-note|cart-discount-component)[\s>]/;
+
+/**
+ * @typedef {Object} SectionCacheEntry
+ * @property {string} html - The section HTML
+ * @property {Set<string>} tags - The section ID and tags the entry can be invalidated by
+ * @property {number} expiresAt - The time after which the entry is stale
+ */
+
+/**
+ * A size-capped, least recently used cache of section HTML with per-entry expiry and tag invalidation
+ */
+class SectionCache {
+  /**
+   * The entries by section rendering URL, ordered from least to most recently used
+   * @type {Map<string, SectionCacheEntry>}
+   */
+  #entries = new Map();
+
+  /**
+   * The last invalidation time by tag
+   * @type {Map<string, number>}
+   */
+  #invalidatedAt = new Map();
+
+  /**
+   * @param {Object} options - The options
+   * @param {number} options.maxEntries - The maximum number of entries to keep
+   * @param {number} options.ttl - The time in milliseconds an entry stays fresh
+   */
+  constructor({ maxEntries, ttl }) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+  }
+
+  /**
+   * Gets the HTML for a URL, if cached and still fresh
+   * @param {string} url - The section rendering URL
+   * @returns {string | undefined} The cached HTML
+   */
+  get(url) {
+    const entry = this.#entries.get(url);
+    if (!entry) return;
+
+    this.#entries.delete(url);
+    if (entry.expiresAt < performance.now()) return;
+
+    // Re-insert the entry to mark it as the most recently used
+    this.#entries.set(url, entry);
+
+    return entry.html;
+  }
+
+  /**
+   * Caches the HTML for a URL, evicting the least recently used entries over the size limit
+   * @param {string} url - The section rendering URL
+   * @param {string} html - The section HTML
+   * @param {Set<string>} tags - The section ID and tags the entry can be invalidated by
+   * @param {number} [requestedAt] - When the HTML was requested, so responses invalidated in flight are not stored
+   */
+  set(url, html, tags, requestedAt = performance.now()) {
+    for (const tag of tags) {
+      if ((this.#invalidatedAt.get(tag) ?? -Infinity) >= requestedAt) return;
+    }
+
+    this.#entries.delete(url);
+    this.#entries.set(url, { html, tags, expiresAt: performance.now() + this.ttl });
+
+    for (const key of this.#entries.keys()) {
+      if (this.#entries.size <= this.maxEntries) break;
+
+      this.#entries.delete(key);
+    }
+  }
+
+  /**
+   * Drops every entry for a section ID or tag
+   * @param {string} tag - The section ID or tag
+   */
+  invalidate(tag) {
+    this.#invalidatedAt.set(tag, performance.now());
+
+    for (const [url, entry] of this.#entries) {
+      if (entry.tags.has(tag)) this.#entries.delete(url);
+    }
+  }
+}
 
 /**
  * A class to re-render sections using the Section Rendering API
@@ -6,9 +104,9 @@ import { morph } from '@theme/morph';
 class SectionRenderer {
   /**
    * The cache of section HTML
-   * @type {Map<string, string>}
+   * @type {SectionCache}
    */
-  #cache = new Map();
+  #cache = new SectionCache({ maxEntries: 50, ttl: 5 * 60 * 1000 });
 
   /**
    * The abort controllers by section ID
@@ -22,27 +120,69 @@ class SectionRenderer {
    */
   #pendingPromises = new Map();
 
+  /**
+   * The pending promises of requests that don't report their failure, like prefetches
+   * @type {WeakSet<Promise<string>>}
+   */
+  #silentPromises = new WeakSet();
+
+  /**
+   * The time in milliseconds after which a section request is aborted
+   * @type {number}
+   */
+  timeout = 10000;
+
+  /**
+   * The number of times a request is retried after a 429 or 5xx response
+   * @type {number}
+   */
+  retries = 2;
+
+  /**
+   * The delay in milliseconds before the first retry, doubled on every following one
+   * @type {number}
+   */
+  retryDelay = 500;
+
   constructor() {
     window.addEventListener('load', this.#cachePageSections.bind(this));
+    document.addEventListener(ThemeEvents.cartUpdate, this.#invalidateCartSections);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#invalidateCartSections);
+  }
+
+  /**
+   * Drops the cached HTML of a section, or of every section with a tag
+   * @param {string} sectionIdOrTag - The section ID or tag, e.g. `CART_CACHE_TAG`
+   */
+  invalidate(sectionIdOrTag) {
+    this.#cache.invalidate(normalizeSectionId(sectionIdOrTag));
   }
 
+  /**
+   * Drops the cached sections that render cart data
+   */
+  #invalidateCartSections = () => {
+    this.invalidate(CART_CACHE_TAG);
+  };
+
   /**
    * Renders a section
    * @param {string} sectionId - The section ID
    * @param {Object} [options] - The options
    * @param {boolean} [options.cache] - Whether to use the cache
    * @param {URL} [options.url] - The URL to render the section from
+   * @param {string[]} [options.tags] - Extra tags to invalidate the cached section by
    * @returns {Promise<string>} The rendered section HTML
    */
   async renderSection(sectionId, options) {
     const { cache = !Shopify.designMode } = options ?? {};
-    const { url } = options ?? {};
+    const { url, tags } = options ?? {};
     this.#abortPendingMorph(sectionId);
 
     const abortController = new AbortController();
     this.#abortControllersBySectionId.set(sectionId, abortController);
 
-    const sectionHTML = await this.getSectionHTML(sectionId, cache, url);
+    const sectionHTML = await this.getSectionHTML(sectionId, cache, url, tags);
 
     if (!abortController.signal.aborted) {
       this.#abortControllersBySectionId.delete(sectionId);
@@ -53,6 +193,43 @@ class SectionRenderer {
     return sectionHTML;
   }
 
+  /**
+   * Renders multiple sections with as few Section Rendering API requests as possible
+   * @param {string[]} sectionIds - The section IDs
+   * @param {Object} [options] - The options
+   * @param {boolean} [options.cache] - Whether to use the cache
+   * @param {URL} [options.url] - The URL to render the sections from
+   * @param {string[]} [options.tags] - Extra tags to invalidate the cached sections by
+   * @returns {Promise<Record<string, string>>} The rendered section HTML by section ID
+   */
+  async renderSections(sectionIds, options) {
+    const { cache = !Shopify.designMode } = options ?? {};
+    const { url, tags } = options ?? {};
+
+    /** @type {Map<string, AbortController>} */
+    const abortControllers = new Map();
+
+    for (const sectionId of sectionIds.map(normalizeSectionId)) {
+      this.#abortPendingMorph(sectionId);
+
+      const abortController = new AbortController();
+      this.#abortControllersBySectionId.set(sectionId, abortController);
+      abortControllers.set(sectionId, abortController);
+    }
+
+    const sectionsHTML = await this.getSectionsHTML(sectionIds, cache, url, tags);
+
+    for (const [sectionId, sectionHTML] of Object.entries(sectionsHTML)) {
+      if (abortControllers.get(sectionId)?.signal.aborted) continue;
+
+      this.#abortControllersBySectionId.delete(sectionId);
+
+      morphSection(sectionId, sectionHTML);
+    }
+
+    return sectionsHTML;
+  }
+
   /**
    * Aborts an existing morph for a section
    * @param {string} sectionId - The section ID
@@ -69,13 +246,30 @@ class SectionRenderer {
    * @param {string} sectionId - The section ID
    * @param {boolean} useCache - Whether to use the cache
    * @param {URL} url - The URL to render the section for
+   * @param {string[]} [tags] - Extra tags to invalidate the cached section by
+   * @param {boolean} [reportErrors] - Whether to dispatch a render error event when the request fails, which
+   * prefetches for pages the user hasn't requested yet don't
    * @returns {Promise<string>} The rendered section HTML
    */
-  async getSectionHTML(sectionId, useCache = true, url = new URL(window.location.href)) {
+  async getSectionHTML(
+    sectionId,
+    useCache = true,
+    url = new URL(window.location.href),
+    tags = [],
+    reportErrors = true
+  ) {
     const sectionUrl = buildSectionRenderingURL(sectionId, url);
 
     let pendingPromise = this.#pendingPromises.get(sectionUrl);
-    if (pendingPromise) return pendingPromise;
+    if (pendingPromise) {
+      if (!reportErrors || !this.#silentPromises.has(pendingPromise)) return pendingPromise;
+
+      // The page is now requested while it was being prefetched
+      return pendingPromise.catch((error) => {
+        this.#reportRenderError([sectionId], error);
+        throw error;
+      });
+    }
 
     if (useCache) {
       const cachedHTML = this.#cache.get(sectionUrl);
@@ -83,19 +277,146 @@ class SectionRenderer {
       if (cachedHTML) return cachedHTML;
     }
 
-    pendingPromise = fetch(sectionUrl).then((response) => {
-      return response.text();
-    });
+    const requestedAt = performance.now();
+    const startMarker = sectionPerformance.createStartingMarker(`fetch:${normalizeSectionId(sectionId)}`);
+    pendingPromise = this.#fetch(sectionUrl)
+      .then((response) => {
+        sectionPerformance.measureFromMarker(startMarker);
+        return response.text();
+      })
+      .catch((error) => {
+        if (reportErrors) this.#reportRenderError([sectionId], error);
+        throw error;
+      })
+      .finally(() => {
+        this.#pendingPromises.delete(sectionUrl);
+      });
 
     this.#pendingPromises.set(sectionUrl, pendingPromise);
+    if (!reportErrors) this.#silentPromises.add(pendingPromise);
 
     const sectionHTML = await pendingPromise;
-    this.#pendingPromises.delete(sectionUrl);
 
-    this.#cache.set(sectionUrl, sectionHTML);
+    this.#cache.set(sectionUrl, sectionHTML, getCacheTags(sectionId, sectionHTML, tags), requestedAt);
     return sectionHTML;
   }
 
+  /**
+   * Gets the HTML for multiple sections, batching the uncached ones into `sections` requests
+   * @param {string[]} sectionIds - The section IDs
+   * @param {boolean} useCache - Whether to use the cache
+   * @param {URL} url - The URL to render the sections for
+   * @param {string[]} [tags] - Extra tags to invalidate the cached sections by
+   * @returns {Promise<Record<string, string>>} The rendered section HTML by section ID
+   */
+  async getSectionsHTML(sectionIds, useCache = true, url = new URL(window.location.href), tags = []) {
+    /** @type {Map<string, Promise<string> | string>} */
+    const sections = new Map();
+    /** @type {string[]} */
+    const sectionIdsToFetch = [];
+
+    for (const sectionId of new Set(sectionIds.map(normalizeSectionId))) {
+      const sectionUrl = buildSectionRenderingURL(sectionId, new URL(url));
+
+      const pendingPromise = this.#pendingPromises.get(sectionUrl);
+      if (pendingPromise) {
+        sections.set(sectionId, pendingPromise);
+        continue;
+      }
+
+      const cachedHTML = useCache ? this.#cache.get(sectionUrl) : undefined;
+      if (cachedHTML) {
+        sections.set(sectionId, cachedHTML);
+        continue;
+      }
+
+      sectionIdsToFetch.push(sectionId);
+    }
+
+    for (let i = 0; i < sectionIdsToFetch.length; i += MAX_SECTIONS_PER_REQUEST) {
+      const batch = sectionIdsToFetch.slice(i, i + MAX_SECTIONS_PER_REQUEST);
+      const requestedAt = performance.now();
+      const startMarker = sectionPerformance.createStartingMarker(`fetch:${batch.join(',')}`);
+      const batchPromise = this.#fetch(buildSectionsRenderingURL(batch, new URL(url)))
+        .then((response) => {
+          sectionPerformance.measureFromMarker(startMarker);
+          return response.json();
+        })
+        .catch((error) => {
+          this.#reportRenderError(batch, error);
+          throw error;
+        });
+
+      for (const sectionId of batch) {
+        const sectionUrl = buildSectionRenderingURL(sectionId, new URL(url));
+        const pendingPromise = batchPromise
+          .then((/** @type {Record<string, string | null>} */ json) => {
+            const sectionHTML = json[sectionId];
+
+            if (typeof sectionHTML !== 'string') {
+              throw new Error(`Section ${sectionId} not found in the section rendering response`);
+            }
+
+            this.#cache.set(sectionUrl, sectionHTML, getCacheTags(sectionId, sectionHTML, tags), requestedAt);
+            return sectionHTML;
+          })
+          .finally(() => {
+            this.#pendingPromises.delete(sectionUrl);
+          });
+
+        this.#pendingPromises.set(sectionUrl, pendingPromise);
+        sections.set(sectionId, pendingPromise);
+      }
+    }
+
+    const entries = await Promise.all(
+      Array.from(sections, async ([sectionId, sectionHTML]) => [sectionId, await sectionHTML])
+    );
+
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Fetches a section rendering URL, retrying rate limited and server error responses with exponential backoff
+   * @param {string} url - The section rendering URL
+   * @returns {Promise<Response>} The successful response
+   * @throws {SectionRenderError} When the request times out, fails or keeps returning an error status
+   */
+  async #fetch(url) {
+    for (let attempt = 0; ; attempt++) {
+      /** @type {Response} */
+      let response;
+
+      try {
+        response = await fetch(url, { signal: AbortSignal.timeout(this.timeout) });
+      } catch (error) {
+        throw new SectionRenderError(0, error instanceof Error ? error.message : String(error));
+      }
+
+      if (response.ok) return response;
+
+      if (attempt >= this.retries || !isRetryableStatus(response.status)) {
+        throw new SectionRenderError(response.status, response.statusText);
+      }
+
+      const retryAfter = Number(response.headers.get('Retry-After')) * 1000;
+      await new Promise((resolve) => setTimeout(resolve, retryAfter || this.retryDelay * 2 ** attempt));
+    }
+  }
+
+  /**
+   * Dispatches a render error event for each section of a failed request
+   * @param {string[]} sectionIds - The section IDs
+   * @param {unknown} error - The error the request failed with
+   */
+  #reportRenderError(sectionIds, error) {
+    const status = error instanceof SectionRenderError ? error.status : 0;
+
+    for (const sectionId of sectionIds) {
+      document.dispatchEvent(new SectionRenderErrorEvent(normalizeSectionId(sectionId), status));
+    }
+  }
+
   /**
    * Caches the page sections
    */
@@ -105,13 +426,32 @@ class SectionRenderer {
       if (this.#cache.get(url)) return;
       if (containsShadowRoot(section)) return;
 
-      this.#cache.set(url, section.outerHTML);
+      this.#cache.set(url, section.outerHTML, getCacheTags(section.id, section.outerHTML));
     }
   }
 }
 
+/**
+ * Thrown when a Section Rendering API request does not return a successful response
+ */
+export class SectionRenderError extends Error {
+  /**
+   * @param {number} status - The response status, or 0 if the request timed out or could not be sent
+   * @param {string} [reason] - The status text or the reason the request failed
+   */
+  constructor(status, reason) {
+    super(`Section rendering request failed${status ? ` with status ${status}` : ''}${reason ? `: ${reason}` : ''}`);
+    this.status = status;
+  }
+}
+
 const SECTION_ID_PREFIX = 'shopify-section-';
 
+/**
+ * The maximum number of sections the Section Rendering API returns for a single `sections` request
+ */
+const MAX_SECTIONS_PER_REQUEST = 5;
+
 /**
  * Builds a section rendering URL
  * @param {string} sectionId - The section ID
@@ -125,6 +465,20 @@ function buildSectionRenderingURL(sectionId, url = new URL(window.location.href)
   return url.toString();
 }
 
+/**
+ * Builds a URL that renders multiple sections in one request
+ * @param {string[]} sectionIds - The section IDs
+ * @param {URL} url - The URL to render the sections for
+ * @returns {string} The sections rendering URL
+ */
+function buildSectionsRenderingURL(sectionIds, url = new URL(window.location.href)) {
+  url.searchParams.delete('section_id');
+  url.searchParams.set('sections', sectionIds.map(normalizeSectionId).join(','));
+  url.searchParams.sort();
+
+  return url.toString();
+}
+
 /**
  * Builds a section selector
  * @param {string} sectionId - The section ID
@@ -143,6 +497,30 @@ export function normalizeSectionId(sectionId) {
   return sectionId.replace(new RegExp(`^${SECTION_ID_PREFIX}`), '');
 }
 
+/**
+ * Checks if a failed request is worth retrying
+ * @param {number} status - The response status
+ * @returns {boolean} Whether the response was rate limited or a server error
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Gets the tags a cached section can be invalidated by
+ * @param {string} sectionId - The section ID
+ * @param {string} html - The section HTML
+ * @param {string[]} [tags] - Extra tags for the section
+ * @returns {Set<string>} The section ID, the extra tags and `CART_CACHE_TAG` for sections rendering cart data
+ */
+function getCacheTags(sectionId, html, tags = []) {
+  const cacheTags = new Set([normalizeSectionId(sectionId), ...tags]);
+
+  if (CART_SECTION_PATTERN.test(html)) cacheTags.add(CART_CACHE_TAG);
+
+  return cacheTags;
+}
+
 /**
  * Checks if an element contains a shadow root
  * @param {Element} element - The element to check
@@ -175,7 +553,9 @@ export async function morphSection(sectionId, html) {
     throw new Error(`Section ${sectionId} not found in the section rendering response`);
   }
 
+  const startMarker = sectionPerformance.createStartingMarker(`morph:${normalizeSectionId(sectionId)}`);
   morph(existingElement, newElement);
+  sectionPerformance.measureFromMarker(startMarker);
 }
 
 export const sectionRenderer = new SectionRenderer();
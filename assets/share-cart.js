@@ -0,0 +1,126 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
+
+/** @typedef {import('./cart-store').Cart} Cart */
+
+/**
+ * The size of the QR code, in pixels
+ * @constant {number}
+ */
+const QR_CODE_SIZE = 160;
+
+/**
+ * A custom element that shares a link that recreates the cart, to hand it over to another device.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLDetailsElement} details - The disclosure.
+ * @property {HTMLElement} qrCode - The container of the QR code.
+ * @property {HTMLElement} copy - The copy to clipboard component.
+ * @property {HTMLButtonElement} shareButton - The native share button.
+ *
+ * @extends {Component<Refs>}
+ */
+class ShareCartComponent extends Component {
+  requiredRefs = ['details', 'qrCode', 'copy', 'shareButton'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  /**
+   * The link the QR code was drawn for
+   * @type {string}
+   */
+  #renderedUrl = '';
+
+  connectedCallback() {
+    super.connectedCallback();
+    if (this.hasError) return;
+
+    this.refs.shareButton.hidden = !('share' in navigator);
+    this.#unsubscribe = cartStore.subscribe(this.#update);
+
+    cartStore
+      .load()
+      .then(this.#update)
+      .catch(() => {});
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * Draws the QR code when the disclosure opens.
+   */
+  onToggle() {
+    if (cartStore.cart) this.#update(cartStore.cart);
+  }
+
+  /**
+   * Opens the native share sheet with the link.
+   */
+  share() {
+    const url = this.refs.copy.getAttribute('text-to-copy');
+
+    if (!url) return;
+
+    navigator.share({ url }).catch((error) => {
+      // The share sheet was dismissed
+      if (error instanceof DOMException && error.name === 'AbortError') return;
+
+      console.error(error);
+    });
+  }
+
+  /**
+   * Updates the link, and the QR code if it's shown.
+   * @param {Cart} cart - The cart.
+   */
+  #update = (cart) => {
+    const { copy, details, qrCode } = this.refs;
+    const url = getCartPermalink(cart);
+
+    copy.setAttribute('text-to-copy', url);
+
+    if (!details.open || url === this.#renderedUrl) return;
+
+    // `qr-code-image` draws its code once connected
+    const image = document.createElement('qr-code-image');
+    image.dataset.identifier = url;
+    image.setAttribute('width', String(QR_CODE_SIZE));
+    image.setAttribute('height', String(QR_CODE_SIZE));
+    image.setAttribute('alt', this.dataset.qrAlt ?? '');
+
+    qrCode.replaceChildren(image);
+    this.#renderedUrl = url;
+  };
+}
+
+/**
+ * Builds a cart permalink, which replaces the cart of whoever opens it with the same variants, quantities and discount
+ * codes. Line item properties and selling plans can't be carried by a permalink.
+ * @param {Cart} cart - The cart.
+ * @returns {string} The absolute URL of the permalink.
+ */
+function getCartPermalink(cart) {
+  /** @type {Map<number, number>} */
+  const quantities = new Map();
+
+  for (const { id, quantity } of cart.items) {
+    quantities.set(id, (quantities.get(id) ?? 0) + quantity);
+  }
+
+  const lines = Array.from(quantities, ([id, quantity]) => `${id}:${quantity}`).join(',');
+  const url = new URL(`${Theme.routes.cart_url}/${lines}`, location.origin);
+  const discountCodes = cart.discount_codes.filter(({ applicable }) => applicable).map(({ code }) => code);
+
+  if (discountCodes.length) url.searchParams.set('discount', discountCodes.join(','));
+
+  return url.toString();
+}
+
+if (!customElements.get('share-cart-component')) {
+  customElements.define('share-cart-component', ShareCartComponent);
+}
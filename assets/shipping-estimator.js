@@ -0,0 +1,430 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
+import { changeCountryFocus, filterCountries } from '@theme/country-filter';
+import { formatCents } from '@theme/money';
+import { normalizeString } from '@theme/utilities';
+
+/**
+ * @typedef {Object} ShippingRate
+ * @property {string} name - The name of the rate
+ * @property {string} [presentment_name] - The name of the rate in the buyer's language
+ * @property {string} price - The price of the rate, as a decimal in the cart currency
+ */
+
+/**
+ * @typedef {'country' | 'province' | 'zip'} AddressField
+ */
+
+/**
+ * How long to wait between two polls of the shipping rates, in milliseconds
+ * @constant {number}
+ */
+const POLL_INTERVAL = 500;
+
+/**
+ * How many times the shipping rates are polled before giving up
+ * @constant {number}
+ */
+const MAX_POLLS = 20;
+
+/**
+ * Thrown when the shipping rates endpoints reject the address
+ */
+class ShippingRatesError extends Error {
+  /**
+   * @param {Record<string, string[] | string>} errors - The error messages, by address field
+   */
+  constructor(errors) {
+    super('The address is invalid');
+    this.name = 'ShippingRatesError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * A custom element that estimates the shipping rates of the cart for an address.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLFormElement} form - The address form.
+ * @property {HTMLInputElement} search - The country input, which filters the country list.
+ * @property {HTMLInputElement} country - The ISO code of the selected country.
+ * @property {HTMLUListElement} countryList - The country list.
+ * @property {HTMLElement[]} countryListItems - The countries.
+ * @property {HTMLElement} noResultsMessage - Shown when no country matches the search.
+ * @property {HTMLInputElement} province - The province input.
+ * @property {HTMLInputElement} zip - The ZIP code input.
+ * @property {HTMLElement} countryError - The country error message.
+ * @property {HTMLElement} provinceError - The province error message.
+ * @property {HTMLElement} zipError - The ZIP code error message.
+ * @property {HTMLButtonElement} submitButton - The submit button.
+ * @property {HTMLElement} message - The message shown when there is no rate to list.
+ * @property {HTMLUListElement} rates - The list of shipping rates.
+ *
+ * @extends {Component<Refs>}
+ */
+class ShippingEstimator extends Component {
+  requiredRefs = [
+    'form',
+    'search',
+    'country',
+    'countryList',
+    'noResultsMessage',
+    'province',
+    'zip',
+    'countryError',
+    'provinceError',
+    'zipError',
+    'submitButton',
+    'message',
+    'rates',
+  ];
+
+  /**
+   * Aborts the estimate being calculated
+   * @type {AbortController | null}
+   */
+  #abortController = null;
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+    if (this.hasError) return;
+
+    this.#unsubscribe = cartStore.subscribe(() => this.invalidate());
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController?.abort();
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * Estimates the shipping rates for the address.
+   */
+  async estimate() {
+    const { country, province, zip, submitButton } = this.refs;
+
+    this.#abortController?.abort();
+    this.#showErrors({});
+    this.#showRates([], '');
+
+    if (!country.value) this.#selectFirstMatch();
+    if (!country.value) {
+      this.#showErrors({ country: Theme.translations.shipping_country_missing ?? '' });
+      return;
+    }
+
+    const abortController = new AbortController();
+    this.#abortController = abortController;
+    submitButton.disabled = true;
+    this.setAttribute('aria-busy', 'true');
+
+    try {
+      const rates = await fetchShippingRates(
+        { country: country.value, province: province.value.trim(), zip: zip.value.trim() },
+        abortController.signal
+      );
+
+      this.#showRates(rates, rates.length ? '' : Theme.translations.shipping_rates_none ?? '');
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      if (error instanceof ShippingRatesError) {
+        this.#showErrors(error.errors);
+      } else {
+        console.error(error);
+        this.#showRates([], Theme.translations.shipping_rates_error ?? '');
+      }
+    } finally {
+      if (this.#abortController === abortController) {
+        this.#abortController = null;
+        submitButton.disabled = false;
+        this.removeAttribute('aria-busy');
+      }
+    }
+  }
+
+  /**
+   * Clears the estimate, which the cart changes make stale.
+   */
+  invalidate() {
+    this.#abortController?.abort();
+    this.#abortController = null;
+    this.refs.submitButton.disabled = false;
+    this.removeAttribute('aria-busy');
+    this.#showRates([], '');
+  }
+
+  /**
+   * Filters the countries based on the country input.
+   */
+  filterCountries() {
+    const { country, countryList, countryListItems, noResultsMessage, search } = this.refs;
+    const count = filterCountries(countryListItems, normalizeString(search.value));
+
+    // The typed country must be picked from the list
+    country.value = '';
+    noResultsMessage.hidden = count > 0;
+    countryList.scrollTop = 0;
+    this.#toggleCountries(true);
+  }
+
+  /**
+   * Shows every country.
+   */
+  showCountries() {
+    const { countryListItems, noResultsMessage } = this.refs;
+
+    filterCountries(countryListItems, '');
+    noResultsMessage.hidden = true;
+    this.#toggleCountries(true);
+  }
+
+  /**
+   * Selects a country.
+   *
+   * @param {string} isoCode - The ISO code of the country to select.
+   */
+  selectCountry(isoCode) {
+    const { country, countryListItems, search } = this.refs;
+    const item = countryListItems.find((item) => item.dataset.value === isoCode);
+
+    if (!item) return;
+
+    country.value = isoCode;
+    search.value = item.querySelector('.country')?.textContent ?? '';
+    this.#toggleCountries(false);
+    this.#showErrors({});
+    search.focus();
+  }
+
+  /**
+   * Handles the keydown event for the country input.
+   *
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  onSearchKeyDown(event) {
+    const { countryListItems } = this.refs;
+
+    switch (event.key) {
+      case 'ArrowUp':
+      case 'ArrowDown':
+        event.preventDefault();
+        this.#toggleCountries(true);
+        changeCountryFocus(countryListItems, event.key === 'ArrowUp' ? 'UP' : 'DOWN');
+        break;
+      case 'Escape':
+        this.#toggleCountries(false);
+        break;
+      case 'Enter':
+        // Picks the best match instead of submitting the form
+        if (this.refs.country.value) break;
+        event.preventDefault();
+        this.#selectFirstMatch();
+        break;
+    }
+  }
+
+  /**
+   * Handles the keydown event for the countries.
+   *
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  onCountryKeyDown(event) {
+    const { countryListItems, search } = this.refs;
+    const item = event.target instanceof HTMLElement ? event.target : null;
+
+    switch (event.key) {
+      case 'ArrowUp':
+      case 'ArrowDown':
+        event.preventDefault();
+        changeCountryFocus(countryListItems, event.key === 'ArrowUp' ? 'UP' : 'DOWN');
+        break;
+      case 'Enter':
+      case ' ':
+        event.preventDefault();
+        if (item?.dataset.value) this.selectCountry(item.dataset.value);
+        break;
+      case 'Escape':
+        this.#toggleCountries(false);
+        search.focus();
+        break;
+    }
+  }
+
+  /**
+   * Closes the country list once the focus leaves the country field.
+   *
+   * @param {FocusEvent} event - The blur event.
+   */
+  onCountryBlur(event) {
+    const field = event.target instanceof Element ? event.target : null;
+
+    if (event.relatedTarget instanceof Node && field?.contains(event.relatedTarget)) return;
+
+    this.#toggleCountries(false);
+  }
+
+  /**
+   * @param {boolean} open - Whether to show the country list.
+   */
+  #toggleCountries(open) {
+    const { countryList, countryListItems, search } = this.refs;
+
+    countryList.hidden = !open;
+    search.setAttribute('aria-expanded', String(open));
+
+    if (!open) {
+      for (const item of countryListItems) item.setAttribute('aria-selected', 'false');
+    }
+  }
+
+  /**
+   * Selects the first country matching the country input.
+   */
+  #selectFirstMatch() {
+    const { countryListItems, search } = this.refs;
+
+    if (!normalizeString(search.value)) return;
+
+    filterCountries(countryListItems, normalizeString(search.value));
+
+    const match = countryListItems.find((item) => !item.hidden);
+
+    if (match?.dataset.value) this.selectCountry(match.dataset.value);
+  }
+
+  /**
+   * Shows the error messages next to their fields, and the others below the form.
+   *
+   * @param {Record<string, string[] | string>} errors - The error messages, by address field.
+   */
+  #showErrors(errors) {
+    const { search, province, zip, countryError, provinceError, zipError } = this.refs;
+    /** @type {Record<AddressField, [HTMLInputElement, HTMLElement]>} */
+    const fields = {
+      country: [search, countryError],
+      province: [province, provinceError],
+      zip: [zip, zipError],
+    };
+    /** @type {string[]} */
+    const otherMessages = [];
+
+    for (const [field, messages] of Object.entries(errors)) {
+      if (!(field in fields)) otherMessages.push(...[messages].flat());
+    }
+
+    for (const [field, [input, error]] of Object.entries(fields)) {
+      const messages = errors[field];
+      const label = input.labels?.[0]?.textContent?.trim() ?? '';
+      // The platform messages don't name the field, e.g. "is not valid for Canada"
+      const message = Array.isArray(messages) ? messages.map((message) => `${label} ${message}`).join('. ') : messages;
+
+      error.textContent = message ?? '';
+      error.hidden = !message;
+      input.toggleAttribute('aria-invalid', Boolean(message));
+    }
+
+    if (otherMessages.length) this.#showRates([], otherMessages.join('. '));
+  }
+
+  /**
+   * @param {ShippingRate[]} rates - The shipping rates.
+   * @param {string} message - A message to show instead of the rates, or an empty string.
+   */
+  #showRates(rates, message) {
+    const { message: messageElement, rates: list } = this.refs;
+
+    messageElement.textContent = message;
+    messageElement.hidden = !message;
+
+    list.replaceChildren(
+      ...rates.map((rate) => {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        const price = document.createElement('span');
+        const cents = Math.round(Number(rate.price) * 100);
+
+        item.className = 'shipping-estimator__rate';
+        name.textContent = rate.presentment_name || rate.name;
+        price.textContent = cents ? formatCents(cents) : Theme.translations.shipping_rate_free ?? '';
+        item.append(name, price);
+
+        return item;
+      })
+    );
+  }
+}
+
+/**
+ * Calculates the shipping rates of the cart for an address, polling until the carriers have responded.
+ *
+ * @param {Record<AddressField, string>} address - The address.
+ * @param {AbortSignal} signal - A signal to stop polling.
+ * @returns {Promise<ShippingRate[]>} The shipping rates.
+ */
+async function fetchShippingRates(address, signal) {
+  const params = new URLSearchParams();
+
+  for (const [field, value] of Object.entries(address)) {
+    if (value) params.set(`shipping_address[${field}]`, value);
+  }
+
+  await parseResponse(
+    await fetch(`${Theme.routes.cart_url}/prepare_shipping_rates.json?${params}`, { method: 'POST', signal })
+  );
+
+  for (let poll = 0; poll < MAX_POLLS; poll++) {
+    const response = await fetch(`${Theme.routes.cart_url}/async_shipping_rates.json?${params}`, { signal });
+    /** @type {{ shipping_rates?: ShippingRate[] | null } | null} */
+    const json = await parseResponse(response);
+
+    if (json?.shipping_rates) return json.shipping_rates;
+
+    await wait(POLL_INTERVAL, signal);
+  }
+
+  throw new Error('The shipping rates took too long to calculate');
+}
+
+/**
+ * @param {Response} response - The response of a shipping rates endpoint.
+ * @returns {Promise<any>} The parsed JSON, or null while the rates are being calculated.
+ */
+async function parseResponse(response) {
+  const text = await response.text();
+  const json = text ? JSON.parse(text) : null;
+
+  if (response.status === 422) throw new ShippingRatesError(json ?? {});
+  if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+  return json;
+}
+
+/**
+ * @param {number} delay - The delay, in milliseconds.
+ * @param {AbortSignal} signal - A signal that cancels the wait.
+ * @returns {Promise<void>}
+ */
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(resolve, delay);
+
+    signal.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timeout);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+if (!customElements.get('shipping-estimator')) {
+  customElements.define('shipping-estimator', ShippingEstimator);
+}
@@ -56,6 +56,7 @@ class ShowMoreComponent extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
     this.#updateBreakpointState();
   }
 
@@ -63,6 +63,7 @@ export class Slideshow extends Component {
 
   async connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     // Wait for any in-progress view transitions to finish
     if (viewTransition.current) {
@@ -128,7 +129,7 @@ export class Slideshow extends Component {
     super.disconnectedCallback();
     const { scroller } = this.refs;
 
-    scroller.removeEventListener('mousedown', this.#handleMouseDown);
+    scroller?.removeEventListener('mousedown', this.#handleMouseDown);
     this.removeEventListener('mouseenter', this.suspend);
     this.removeEventListener('mouseleave', this.resume);
     this.removeEventListener('pointerenter', this.#handlePointerEnter);
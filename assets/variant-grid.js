@@ -0,0 +1,252 @@
+import { Component } from '@theme/component';
+import { cartStore, CartError } from '@theme/cart-store';
+import { CartAddEvent } from '@theme/events';
+import { formatCents } from '@theme/money';
+
+/** @typedef {import('./cart-store').CartItemToAdd} CartItemToAdd */
+
+/**
+ * A custom element that orders many variants of a product at once, with a quantity input for each variant laid out
+ * by the first two options.
+ *
+ * Like the quantity selector, each quantity follows the quantity rules of its variant, counting what's already in the
+ * cart. A quantity of 0 leaves the variant out.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement[]} quantityInputs - The quantity of each variant.
+ * @property {HTMLElement} subtotal - The price of the quantities entered.
+ * @property {HTMLButtonElement} addButton - Adds all the quantities entered to the cart.
+ * @property {HTMLElement} error - The error of the last add to cart.
+ * @property {HTMLElement} liveRegion - Announces the items were added.
+ *
+ * @extends {Component<Refs>}
+ */
+class VariantGridComponent extends Component {
+  requiredRefs = ['quantityInputs', 'subtotal', 'addButton', 'error', 'liveRegion'];
+
+  /** @type {number | undefined} */
+  #liveRegionTimeout;
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+    if (this.hasError) return;
+
+    this.#unsubscribe = cartStore.subscribe(this.#updateRules);
+
+    // The quantity in the cart only matters to the rules when there are some
+    const hasRules = this.refs.quantityInputs.some(
+      (input) => Number(input.dataset.quantityMin) > 1 || input.dataset.quantityMax || Number(input.step) > 1
+    );
+
+    if (hasRules) {
+      cartStore
+        .load()
+        .then(this.#updateRules)
+        .catch(() => {});
+    }
+
+    // Browsers can restore the quantities entered before a reload
+    this.#updateRules();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * When an input gets focused, select its value to replace it.
+   * @param {FocusEvent} event - The focus event.
+   */
+  selectInputValue(event) {
+    if (event.target instanceof HTMLInputElement) event.target.select();
+  }
+
+  /**
+   * Snaps a quantity to one the variant can be bought in.
+   * @param {Event} event - The change event.
+   */
+  checkQuantity(event) {
+    const input = event.target;
+
+    if (!(input instanceof HTMLInputElement)) return;
+
+    this.#snapQuantity(input);
+    this.updateSubtotal();
+  }
+
+  /**
+   * Updates the subtotal of the quantities entered.
+   */
+  updateSubtotal() {
+    const { addButton, subtotal } = this.refs;
+    const items = this.#items;
+    const total = this.refs.quantityInputs.reduce(
+      (sum, input) => sum + (this.#getQuantity(input) * Number(input.dataset.price) || 0),
+      0
+    );
+
+    subtotal.textContent = formatCents(total, Theme.money.format);
+    addButton.disabled = items.length === 0;
+  }
+
+  /**
+   * Adds every variant with a quantity to the cart in one request.
+   */
+  addAll() {
+    const { addButton, error } = this.refs;
+    const items = this.#items;
+
+    if (!items.length || addButton.disabled) return;
+
+    const itemCount = items.reduce((count, { quantity }) => count + quantity, 0);
+
+    /** @type {string[]} */
+    const cartItemComponentsSectionIds = [];
+    document.querySelectorAll('cart-items-component').forEach((item) => {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        cartItemComponentsSectionIds.push(item.dataset.sectionId);
+      }
+    });
+
+    addButton.disabled = true;
+    error.hidden = true;
+
+    cartStore
+      .add({ items }, { sections: cartItemComponentsSectionIds })
+      .then(({ cart, sections }) => {
+        for (const input of this.refs.quantityInputs) input.value = '0';
+
+        this.#announce(Theme.translations.added ?? '');
+
+        this.dispatchEvent(
+          new CartAddEvent(cart, this.id, {
+            source: 'variant-grid-component',
+            itemCount,
+            productId: this.dataset.productId,
+            sections,
+          })
+        );
+      })
+      .catch((cartError) => {
+        error.hidden = false;
+
+        if (!(cartError instanceof CartError)) {
+          console.error(cartError);
+          error.textContent = Theme.translations.add_to_cart_error ?? '';
+          return;
+        }
+
+        error.textContent = cartError.description ?? cartError.message;
+
+        // Like the product form, the cart may hold some of the items even though the request failed
+        this.dispatchEvent(
+          new CartAddEvent({}, this.id, {
+            didError: true,
+            source: 'variant-grid-component',
+            itemCount,
+            productId: this.dataset.productId,
+          })
+        );
+      })
+      .finally(() => this.updateSubtotal());
+  }
+
+  /**
+   * Updates the most of each variant that can still be added to the cart, and the quantities entered to match.
+   */
+  #updateRules = () => {
+    for (const input of this.refs.quantityInputs) {
+      const { max } = this.#getBounds(input);
+
+      if (max === Infinity) {
+        input.removeAttribute('max');
+      } else {
+        input.max = String(max);
+      }
+
+      this.#snapQuantity(input);
+    }
+
+    this.updateSubtotal();
+  };
+
+  /**
+   * Snaps the quantity of a variant to 0 or to one that can be added to the cart, like the input's own validation.
+   * @param {HTMLInputElement} input - The quantity input of the variant.
+   */
+  #snapQuantity(input) {
+    const value = parseInt(input.value);
+    const { min, max, step } = this.#getBounds(input);
+    let quantity = 0;
+
+    if (value > 0 && max >= min) {
+      quantity = Math.min(Math.max(min + Math.round((value - min) / step) * step, min), max);
+    }
+
+    input.value = String(quantity);
+  }
+
+  /**
+   * Gets the quantities of a variant that can be added to the cart, on top of what's already in the cart.
+   * @param {HTMLInputElement} input - The quantity input of the variant.
+   * @returns {{ min: number, max: number, step: number }} The bounds, with a max below the min when none can be added.
+   */
+  #getBounds(input) {
+    const variantId = Number(input.dataset.variantId);
+    const step = Number(input.step) || 1;
+    const minRule = Number(input.dataset.quantityMin) || 1;
+    const maxRule = input.dataset.quantityMax ? Number(input.dataset.quantityMax) : Infinity;
+    const inCartQuantity = (cartStore.cart?.items ?? [])
+      .filter(({ id }) => id === variantId)
+      .reduce((total, { quantity }) => total + quantity, 0);
+
+    return {
+      min: Math.ceil(Math.max(minRule, inCartQuantity + 1) / step) * step - inCartQuantity,
+      max: Math.floor(maxRule / step) * step - inCartQuantity,
+      step,
+    };
+  }
+
+  /**
+   * The variants with a quantity entered
+   * @returns {CartItemToAdd[]}
+   */
+  get #items() {
+    return this.refs.quantityInputs
+      .filter((input) => !input.disabled && this.#getQuantity(input) > 0)
+      .map((input) => ({ id: Number(input.dataset.variantId), quantity: this.#getQuantity(input) }));
+  }
+
+  /**
+   * Gets the quantity entered for a variant.
+   * @param {HTMLInputElement} input - The quantity input of the variant.
+   * @returns {number}
+   */
+  #getQuantity(input) {
+    return Math.max(0, parseInt(input.value) || 0);
+  }
+
+  /**
+   * Announces a message to screen readers for a while.
+   * @param {string} message - The message.
+   */
+  #announce(message) {
+    const { liveRegion } = this.refs;
+
+    liveRegion.textContent = message;
+
+    clearTimeout(this.#liveRegionTimeout);
+    this.#liveRegionTimeout = setTimeout(() => {
+      liveRegion.textContent = '';
+    }, 5000);
+  }
+}
+
+if (!customElements.get('variant-grid-component')) {
+  customElements.define('variant-grid-component', VariantGridComponent);
+}
@@ -1,8 +1,13 @@
 import { Component } from '@theme/component';
-import { VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
+import { SectionRenderErrorEvent, VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
 import { morph } from '@theme/morph';
+import { SectionRenderError } from '@theme/section-renderer';
 import { requestYieldCallback } from '@theme/utilities';
 
+/**
+ * @typedef {ConstructorParameters<typeof VariantUpdateEvent>[0] & { options: string[] }} Variant
+ */
+
 /**
  * A custom element that manages a variant picker.
  *
@@ -19,8 +24,24 @@ export default class VariantPicker extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     this.addEventListener('change', this.variantChanged.bind(this));
+
+    const variants = this.#variants;
+
+    if (variants) this.#updateAvailability(variants);
+
+    // Only the picker of the product page owns the address bar
+    if (this.dataset.history === 'push' && this.#isOnProductPage) {
+      window.addEventListener('popstate', this.#handlePopState);
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    window.removeEventListener('popstate', this.#handlePopState);
   }
 
   /**
@@ -38,43 +59,217 @@ export default class VariantPicker extends Component {
     this.updateSelectedOption(event.target);
     this.dispatchEvent(new VariantSelectedEvent({ id: selectedOption.dataset.optionValueId ?? '' }));
 
-    const isOnProductPage =
-      this.dataset.templateProductMatch === 'true' &&
-      !event.target.closest('product-card') &&
-      !event.target.closest('quick-add-dialog');
+    const isOnProductPage = this.#isOnProductPage;
 
     // Morph the entire main content for combined listings child products, because changing the product
     // might also change other sections depending on recommendations, metafields, etc.
     const currentUrl = this.dataset.productUrl?.split('?')[0];
     const newUrl = selectedOption.dataset.connectedProductUrl;
-    const loadsNewProduct = isOnProductPage && !!newUrl && newUrl !== currentUrl;
+    const changesProduct = !!newUrl && newUrl !== currentUrl;
+    const loadsNewProduct = isOnProductPage && changesProduct;
+
+    // The variants of the current product are embedded in the picker, only another product, or a gallery that hides the
+    // media of the other variants, needs the section to be rendered
+    const variants = changesProduct || this.#rendersVariantMedia ? null : this.#variants;
+
+    if (variants) {
+      const variant = findVariant(variants, this.#selectedValues);
 
-    this.fetchUpdatedSection(this.buildRequestUrl(selectedOption), loadsNewProduct);
+      this.#updateSelectedVariant(variant, variants);
 
+      if (isOnProductPage) this.#updateUrl(variant);
+    } else {
+      this.fetchUpdatedSection(this.buildRequestUrl(selectedOption), loadsNewProduct).then((variant) => {
+        // Change the path if the option is connected to another product via combined listing.
+        if (isOnProductPage && variant !== undefined) this.#updateUrl(variant, loadsNewProduct ? newUrl : undefined);
+      });
+    }
+  }
+
+  /**
+   * Whether the picker selects the variant of the product page, rather than of a product card or quick add dialog.
+   * @returns {boolean}
+   */
+  get #isOnProductPage() {
+    return (
+      this.dataset.templateProductMatch === 'true' && !this.closest('product-card') && !this.closest('quick-add-dialog')
+    );
+  }
+
+  /**
+   * Keeps the address bar in sync with the selected variant, so the link opens that variant when shared.
+   * @param {{ id: string | number } | null} variant - The selected variant, or null if none matches the options.
+   * @param {string} [pathname] - The path of the product, when another product of a combined listing was loaded.
+   */
+  #updateUrl(variant, pathname) {
     const url = new URL(window.location.href);
 
-    const variantId = selectedOption.dataset.variantId || null;
+    if (variant) {
+      url.searchParams.set('variant', String(variant.id));
+    } else {
+      url.searchParams.delete('variant');
+    }
+
+    // The options of a shared link no longer describe the selection
+    url.searchParams.delete('option_values');
 
-    if (isOnProductPage) {
-      if (variantId) {
-        url.searchParams.set('variant', variantId);
+    if (pathname) url.pathname = pathname;
+
+    if (url.href === window.location.href) return;
+
+    requestYieldCallback(() => {
+      if (this.dataset.history === 'push') {
+        history.pushState({}, '', url.toString());
       } else {
-        url.searchParams.delete('variant');
+        history.replaceState({}, '', url.toString());
       }
+    });
+  }
+
+  /**
+   * Restores the variant of the address bar when navigating the history.
+   */
+  #handlePopState = () => {
+    const url = new URL(window.location.href);
+    const variants = this.#variants;
+    const variantId = url.searchParams.get('variant');
+    const variant = variantId
+      ? variants?.find((variant) => String(variant.id) === variantId)
+      : variants?.find((variant) => variant.available) ?? variants?.[0];
+
+    // Another product of a combined listing, variants that aren't embedded, or a gallery that hides the media of the
+    // other variants need the page to be rendered
+    if (!variant || !variants || this.#rendersVariantMedia || url.pathname !== this.dataset.productUrl?.split('?')[0]) {
+      this.fetchUpdatedSection(url.href, true);
+      return;
     }
 
-    // Change the path if the option is connected to another product via combined listing.
-    if (loadsNewProduct) {
-      url.pathname = newUrl;
+    this.querySelectorAll('fieldset, select').forEach((optionGroup, position) => {
+      const value = variant.options[position];
+      /** @type {NodeListOf<HTMLInputElement | HTMLOptionElement>} */
+      const optionValues = optionGroup.querySelectorAll('input, option');
+      const optionValue = Array.from(optionValues).find((optionValue) => optionValue.value === value);
+
+      if (optionValue instanceof HTMLInputElement) {
+        this.updateSelectedOption(optionValue);
+      } else if (optionGroup instanceof HTMLSelectElement && optionValue) {
+        optionGroup.value = optionValue.value;
+        this.updateSelectedOption(optionGroup);
+      }
+    });
+
+    this.#updateSelectedVariant(variant, variants);
+  };
+
+  /**
+   * Whether a media gallery of the section only shows the media of the selected variant, which needs the section to
+   * be rendered for each variant.
+   * @returns {boolean}
+   */
+  get #rendersVariantMedia() {
+    return Boolean(this.closest('.shopify-section, dialog')?.querySelector('media-gallery[data-hide-variants]'));
+  }
+
+  /**
+   * The variants embedded in the picker.
+   * @returns {Variant[] | null} The variants, or null if they aren't embedded.
+   */
+  get #variants() {
+    const { variantsData } = this.refs;
+
+    if (!(variantsData instanceof HTMLScriptElement) || !variantsData.textContent) return null;
+
+    return JSON.parse(variantsData.textContent);
+  }
+
+  /**
+   * The values of the selected options, in the order of the product options.
+   * @returns {string[]} The values.
+   */
+  get #selectedValues() {
+    /** @type {(HTMLInputElement | HTMLOptionElement)[]} */
+    const selectedOptions = Array.from(this.querySelectorAll('select option[selected], fieldset input:checked'));
+
+    return selectedOptions.map((option) => option.value);
+  }
+
+  /**
+   * Updates the picker for a variant found in the embedded variants, and notifies the other components.
+   * @param {Variant | null} variant - The selected variant, or null if none matches the selected options.
+   * @param {Variant[]} variants - The variants of the product.
+   */
+  #updateSelectedVariant(variant, variants) {
+    // Cancel the rendering of a previous selection, which would override this one
+    this.#abortController?.abort();
+    this.#pendingRequestUrl = undefined;
+
+    for (const fieldset of this.querySelectorAll('fieldset')) {
+      const swatchValue = fieldset.querySelector('.variant-option__swatch-value');
+      const checkedInput = fieldset.querySelector('input:checked');
+
+      if (swatchValue && checkedInput instanceof HTMLInputElement) swatchValue.textContent = checkedInput.value;
     }
 
-    if (url.href !== window.location.href) {
-      requestYieldCallback(() => {
-        history.replaceState({}, '', url.toString());
-      });
+    this.#updateAvailability(variants);
+
+    if (this.selectedOptionId) {
+      // Like the variant rendered by the section, the variant is null when no variant matches the selected options
+      this.dispatchEvent(
+        new VariantUpdateEvent(/** @type {Variant} */ (variant), this.selectedOptionId, {
+          productId: this.dataset.productId ?? '',
+        })
+      );
     }
   }
 
+  /**
+   * Marks the option values that have no available variant when combined with the other selected options, and points
+   * each option value to the variant it would select.
+   *
+   * In a combined listing, the option values of the other products keep what the section rendered for them.
+   * @param {Variant[]} variants - The variants of the product.
+   */
+  #updateAvailability(variants) {
+    const selectedValues = this.#selectedValues;
+    const optionGroups = this.querySelectorAll('fieldset, select');
+    const productUrl = this.dataset.productUrl?.split('?')[0];
+
+    optionGroups.forEach((optionGroup, position) => {
+      /** @type {NodeListOf<HTMLInputElement | HTMLOptionElement>} */
+      const optionValues = optionGroup.querySelectorAll('input, option');
+
+      for (const optionValue of optionValues) {
+        const connectedProductUrl = optionValue.dataset.connectedProductUrl;
+
+        if (connectedProductUrl && connectedProductUrl !== productUrl) continue;
+
+        const values = selectedValues.map((value, index) => (index === position ? optionValue.value : value));
+        const variant = findVariant(variants, values);
+        const available = Boolean(variant?.available);
+
+        optionValue.dataset.optionAvailable = String(available);
+
+        if (available) {
+          optionValue.removeAttribute('aria-disabled');
+        } else {
+          optionValue.setAttribute('aria-disabled', 'true');
+        }
+
+        if (variant) {
+          optionValue.dataset.variantId = String(variant.id);
+        } else {
+          delete optionValue.dataset.variantId;
+        }
+
+        if (optionValue instanceof HTMLOptionElement) {
+          optionValue.textContent = available
+            ? optionValue.value
+            : `${optionValue.value} - ${Theme.translations.unavailable ?? ''}`;
+        }
+      }
+    });
+  }
+
   /**
    * Updates the selected option.
    * @param {string | Element} target - The target element.
@@ -144,14 +339,20 @@ export default class VariantPicker extends Component {
    * Fetches the updated section.
    * @param {string} requestUrl - The request URL.
    * @param {boolean} shouldMorphMain - If the entire main content should be morphed. By default, only the variant picker is morphed.
+   * @returns {Promise<Variant | null | undefined>} The rendered variant, null if none matches the selected options, or
+   * undefined if the section wasn't rendered.
    */
   fetchUpdatedSection(requestUrl, shouldMorphMain = false) {
     // We use this to abort the previous fetch request if it's still pending.
     this.#abortController?.abort();
     this.#abortController = new AbortController();
 
-    fetch(requestUrl, { signal: this.#abortController.signal })
-      .then((response) => response.text())
+    return fetch(requestUrl, { signal: this.#abortController.signal })
+      .then((response) => {
+        if (!response.ok) throw new SectionRenderError(response.status, response.statusText);
+
+        return response.text();
+      })
       .then((responseText) => {
         this.#pendingRequestUrl = undefined;
         const html = new DOMParser().parseFromString(responseText, 'text/html');
@@ -161,6 +362,9 @@ export default class VariantPicker extends Component {
         const textContent = html.querySelector(`variant-picker script[type="application/json"]`)?.textContent;
         if (!textContent) return;
 
+        /** @type {Variant | null} */
+        const variant = JSON.parse(textContent);
+
         if (shouldMorphMain) {
           this.updateMain(html);
         } else {
@@ -169,7 +373,7 @@ export default class VariantPicker extends Component {
           // We grab the variant object from the response and dispatch an event with it.
           if (this.selectedOptionId) {
             this.dispatchEvent(
-              new VariantUpdateEvent(JSON.parse(textContent), this.selectedOptionId, {
+              new VariantUpdateEvent(/** @type {Variant} */ (variant), this.selectedOptionId, {
                 html,
                 productId: this.dataset.productId ?? '',
                 newProduct,
@@ -177,16 +381,33 @@ export default class VariantPicker extends Component {
             );
           }
         }
+
+        return variant;
       })
       .catch((error) => {
         if (error.name === 'AbortError') {
           console.warn('Fetch aborted by user');
         } else {
+          this.#showRenderError(error instanceof SectionRenderError ? error.status : 0);
           console.error(error);
         }
+
+        return undefined;
       });
   }
 
+  /**
+   * Shows the error message and notifies listeners when the selected variant fails to render.
+   * @param {number} status - The response status, or 0 if the request failed.
+   */
+  #showRenderError(status) {
+    const { sectionRenderError } = this.refs;
+
+    if (sectionRenderError instanceof HTMLElement) sectionRenderError.hidden = false;
+
+    this.dispatchEvent(new SectionRenderErrorEvent(this.dataset.sectionId ?? '', status));
+  }
+
   /**
    * @typedef {Object} NewProduct
    * @property {string} id
@@ -289,6 +510,21 @@ export default class VariantPicker extends Component {
   }
 }
 
+/**
+ * Finds the variant with the given option values.
+ * @param {Variant[]} variants - The variants of the product.
+ * @param {string[]} values - The option values, in the order of the product options.
+ * @returns {Variant | null} The variant, or null if none has these values.
+ */
+function findVariant(variants, values) {
+  return (
+    variants.find(
+      (variant) =>
+        variant.options.length === values.length && variant.options.every((value, index) => value === values[index])
+    ) ?? null
+  );
+}
+
 if (!customElements.get('variant-picker')) {
   customElements.define('variant-picker', VariantPicker);
 }
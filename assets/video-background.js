@@ -14,6 +14,7 @@ export class VideoBackgroundComponent extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
 
     const { videoSources, videoElement } = this.refs;
 
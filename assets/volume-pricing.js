@@ -0,0 +1,180 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart-store';
+import { ThemeEvents, QuantitySelectorUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { formatCents } from '@theme/money';
+
+/**
+ * @typedef {object} PriceTier
+ * @property {number} minimum_quantity - The quantity from which the price applies
+ * @property {number} price - The price of one unit, in cents
+ */
+
+/**
+ * A custom element that lists the volume prices of the selected variant, highlighting the one the quantity in the cart
+ * and the quantity selected would get.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLTableSectionElement} tiers - The rows of prices.
+ * @property {HTMLElement} unitPrice - The price of one unit at the current quantity.
+ *
+ * @extends {Component<Refs>}
+ */
+class VolumePricingComponent extends Component {
+  requiredRefs = ['tiers', 'unitPrice'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  /** @type {AbortController | undefined} */
+  #abortController;
+
+  /**
+   * The quantity selected in the product form
+   * @type {number}
+   */
+  #quantity = 1;
+
+  connectedCallback() {
+    super.connectedCallback();
+    if (this.hasError) return;
+
+    this.#abortController = new AbortController();
+    const { signal } = this.#abortController;
+    const closestSection = this.closest('.shopify-section, dialog');
+
+    closestSection?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+    closestSection?.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityUpdate, { signal });
+
+    const quantityInput = closestSection?.querySelector(
+      `product-form-component[data-product-id="${this.dataset.productId}"] input[name="quantity"]`
+    );
+    // Without a quantity selector, the product form adds the minimum quantity
+    this.#quantity =
+      (quantityInput instanceof HTMLInputElement && parseInt(quantityInput.value)) ||
+      Number(this.refs.tiers.rows[0]?.dataset.minimumQuantity) ||
+      1;
+
+    this.#unsubscribe = cartStore.subscribe(this.#update);
+
+    if (!this.hidden) {
+      cartStore
+        .load()
+        .then(this.#update)
+        .catch(() => {});
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController?.abort();
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * Follows the quantity selected in the product form.
+   * @param {QuantitySelectorUpdateEvent} event - The quantity selector update event.
+   */
+  #onQuantityUpdate = (event) => {
+    // Cart lines have their own quantity selectors
+    if (event.detail.cartLine || !(event.target instanceof Element)) return;
+    if (event.target.closest('product-form-component')?.getAttribute('data-product-id') !== this.dataset.productId) {
+      return;
+    }
+
+    this.#quantity = event.detail.quantity || 1;
+    this.#update();
+  };
+
+  /**
+   * Shows the volume prices of the new variant.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    const { html, productId, newProduct } = event.detail.data;
+    const { resource } = event.detail;
+
+    if (newProduct) {
+      this.dataset.productId = newProduct.id;
+    } else if (productId !== this.dataset.productId) {
+      return;
+    }
+
+    const newTiers = html?.querySelector('volume-pricing-component [ref="tiers"]');
+
+    if (newTiers) {
+      this.refs.tiers.replaceChildren(...newTiers.children);
+    } else if (resource?.price !== undefined) {
+      /** @type {PriceTier} */
+      const baseTier = { minimum_quantity: resource.quantity_rule?.min ?? 1, price: resource.price };
+
+      this.refs.tiers.replaceChildren(...[baseTier, ...(resource.quantity_price_breaks ?? [])].map(createTierRow));
+    } else {
+      this.refs.tiers.replaceChildren();
+    }
+
+    this.dataset.variantId = resource ? String(resource.id) : '';
+    this.hidden = this.refs.tiers.rows.length < 2;
+
+    if (!this.hidden && !cartStore.cart) {
+      cartStore
+        .load()
+        .then(this.#update)
+        .catch(() => {});
+    }
+
+    this.#update();
+  };
+
+  /**
+   * Highlights the price the quantity gets, and shows it as the unit price.
+   */
+  #update = () => {
+    const variantId = Number(this.dataset.variantId);
+    const inCartQuantity = (cartStore.cart?.items ?? [])
+      .filter(({ id }) => id === variantId)
+      .reduce((total, { quantity }) => total + quantity, 0);
+    const quantity = inCartQuantity + this.#quantity;
+    const rows = Array.from(this.refs.tiers.rows);
+    const activeRow = rows.filter((row) => quantity >= Number(row.dataset.minimumQuantity)).pop() ?? rows[0];
+
+    for (const row of rows) {
+      if (row === activeRow) {
+        row.setAttribute('aria-current', 'true');
+      } else {
+        row.removeAttribute('aria-current');
+      }
+    }
+
+    if (!activeRow) return;
+
+    this.refs.unitPrice.textContent =
+      Theme.translations.volume_pricing_unit_price?.replace(
+        '[price]',
+        formatCents(Number(activeRow.dataset.price), Theme.money.format)
+      ) ?? '';
+  };
+}
+
+/**
+ * Creates the row of a price, like the block renders it.
+ * @param {PriceTier} tier - The price.
+ * @returns {HTMLTableRowElement}
+ */
+function createTierRow({ minimum_quantity, price }) {
+  const row = document.createElement('tr');
+  const quantityCell = row.insertCell();
+  const priceCell = row.insertCell();
+
+  row.dataset.minimumQuantity = String(minimum_quantity);
+  row.dataset.price = String(price);
+  quantityCell.textContent =
+    Theme.translations.volume_pricing_minimum?.replace('[quantity]', String(minimum_quantity)) ?? '';
+  priceCell.textContent = formatCents(price, Theme.money.format);
+
+  return row;
+}
+
+if (!customElements.get('volume-pricing-component')) {
+  customElements.define('volume-pricing-component', VolumePricingComponent);
+}
@@ -27,12 +27,13 @@ export class ZoomDialog extends Component {
 
   connectedCallback() {
     super.connectedCallback();
+    if (this.hasError) return;
     this.refs.dialog.addEventListener('scroll', this.handleScroll);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
-    this.refs.dialog.removeEventListener('scroll', this.handleScroll);
+    this.refs.dialog?.removeEventListener('scroll', this.handleScroll);
   }
 
   /**